@@ -2,14 +2,31 @@
 
 // Configuration
 const API_URL = 'http://localhost:3000'; // Change to your server URL in production
+const gameId = new URLSearchParams(window.location.search).get('game') || 'default';
+const SESSION_STORAGE_KEY = 'tinytop-session'; // Signed player session from the server
 let socket;
 let selectedAsset = null;
 let selectedPiece = null;
-let playerCount = 0;
+let selectedPieces = new Set(); // All selected pieces; selectedPiece is the last one picked
+let selectionBox = null; // Rubber-band rectangle while selecting on the board
+let selectionMoved = false; // The last board press drew a rectangle rather than clicking
+let players = {}; // Roster of the current game by player ID
 let clientId = null;
 let saveGameModal = null;
 let loadStateModal = null;
 let pieces = {};
+let hand = {}; // Cards in our hand by card ID
+let handCounts = {}; // Number of cards in each player's hand
+let selectedCard = null;
+let selectedFaces = []; // Assets shift-clicked to make a multi-face piece
+let pendingActions = {}; // Actions waiting for the piece's token, by piece ID
+let availableAssets = [];
+let boardSettings = null; // Size, background, grid and snapping of the game's board
+let zones = []; // Named areas of the board and their rules
+let turns = null; // Turn order, current player and round
+let clockView = null; // Player clocks and timers as last sent by the server
+let clockOffset = 0; // Server time minus our time (ms)
+let clockDisplays = []; // Drawn clock and timer times with what they show
 
 
 // DOM Elements
@@ -17,7 +34,15 @@ const gameBoard = document.getElementById('game-board');
 const uploadForm = document.getElementById('upload-form');
 const assetUpload = document.getElementById('asset-upload');
 const assetList = document.getElementById('asset-list');
-const playerCountDisplay = document.getElementById('player-count');
+const playerRoster = document.getElementById('player-roster');
+const chatMessages = document.getElementById('chat-messages');
+const chatForm = document.getElementById('chat-form');
+const chatInput = document.getElementById('chat-input');
+const diceForm = document.getElementById('dice-form');
+const diceInput = document.getElementById('dice-input');
+const clockList = document.getElementById('clock-list');
+const timerList = document.getElementById('timer-list');
+const handArea = document.getElementById('hand');
 const btnClear = document.getElementById('btn-clear');
 const btnRefresh = document.getElementById('btn-refresh');
 const statusIndicator = document.getElementById('status-indicator');
@@ -29,6 +54,14 @@ const statusMessage = document.getElementById('status-message');
 
 let lastDragUpdate = 0;
 const DRAG_THROTTLE = 50; // milliseconds between drag updates
+const TOKEN_RENEW_INTERVAL = 10000; // milliseconds between token renewals while dragging (tokens last 30s)
+let lastCursorUpdate = 0;
+const CURSOR_THROTTLE = 50; // milliseconds between cursor updates
+const CURSOR_IDLE_TIMEOUT = 3000; // milliseconds before a still remote cursor fades out
+const CLOCK_REDRAW_INTERVAL = 250; // milliseconds between redraws of running clocks
+const MIN_SCALE = 0.25; // Scale limits enforced by the server
+const MAX_SCALE = 4;
+let cursors = {}; // Remote cursors by player ID
 
 // Add this function to main.js (outside of any other function)
 function sendDragUpdate(pieceId, x, y) {
@@ -49,6 +82,19 @@ function sendDragUpdate(pieceId, x, y) {
   }
 }
 
+// Send our pointer position, throttled like drag updates
+function sendCursorUpdate(x, y) {
+  const now = Date.now();
+
+  if (now - lastCursorUpdate >= CURSOR_THROTTLE) {
+    lastCursorUpdate = now;
+
+    if (socket && socket.connected) {
+      socket.emit('cursor-move', { x, y });
+    }
+  }
+}
+
 // Initialize the game
 init();
 
@@ -66,8 +112,11 @@ async function init() {
     // Initialize modals
     initModals();
 
-    // Request initial game state
-    socket.emit('get-game-state');
+    // Count running clocks down between server updates
+    setInterval(tickClocks, CLOCK_REDRAW_INTERVAL);
+
+    // Join the game (the server replies with its state)
+    socket.emit('join-game', gameId);
   } catch (error) {
     console.error('Initialization error:', error);
     showStatusMessage('Failed to initialize game. Please refresh the page.', 'danger');
@@ -105,7 +154,7 @@ async function saveGameWithName(saveName) {
     // Use the provided name or generate a timestamp-based one
     const name = saveName || `Game_${new Date().toISOString().replace(/[:.]/g, '-')}`;
 
-    const response = await fetch(`${API_URL}/api/game/save`, {
+    const response = await fetch(`${API_URL}/api/games/${gameId}/save`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -133,7 +182,7 @@ async function saveGameWithName(saveName) {
 // Load and display the list of saved states
 async function loadSavedStatesList() {
   try {
-    const response = await fetch(`${API_URL}/api/game/states?manualOnly=true`);
+    const response = await fetch(`${API_URL}/api/games/${gameId}/states?manualOnly=true`);
     const data = await response.json();
 
     const statesList = document.getElementById('saved-states-list');
@@ -184,7 +233,7 @@ async function loadGameState(stateId) {
   try {
     showStatusMessage('Loading game state...', 'info');
 
-    const response = await fetch(`${API_URL}/api/game/load-state`, {
+    const response = await fetch(`${API_URL}/api/games/${gameId}/load-state`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -222,12 +271,21 @@ function showLoadStateDialog() {
 async function connectSocket() {
   return new Promise((resolve, reject) => {
     try {
-      socket = io(API_URL);
+      // Present the stored session so the server resumes the same player
+      socket = io(API_URL, {
+        auth: (cb) => cb({ sessionToken: localStorage.getItem(SESSION_STORAGE_KEY) })
+      });
 
       socket.on('connect', () => {
         console.log('Connected to server with ID:', socket.id);
-        clientId = socket.id;
         updateConnectionStatus(true);
+      });
+
+      // Sent on every connection, before any game events
+      socket.on('player-session', (data) => {
+        console.log('Playing as:', data.name, data.playerId);
+        clientId = data.playerId;
+        localStorage.setItem(SESSION_STORAGE_KEY, data.sessionToken);
         resolve();
       });
 
@@ -270,13 +328,33 @@ function setupSocketEvents() {
     console.log('Received game state:', data);
     pieces = {};
     gameBoard.innerHTML = '';
+    renderZones();
+    selectPieces([]);
 
     if (data.pieces && Array.isArray(data.pieces)) {
       data.pieces.forEach(piece => {
-        addPieceToBoard(piece.id, piece.assetUrl, piece.x, piece.y, piece.owner);
+        if (piece.type === 'deck') {
+          addDeckToBoard(piece);
+        } else {
+          addPieceToBoard(piece.id, piece.assetUrl, piece.x, piece.y, piece.owner, piece.faces, piece.faceIndex);
+          setPieceTransform(piece.id, piece);
+          setPieceParent(piece.id, piece.parentId);
+          setPieceVisibility(piece.id, piece.visibility);
+        }
       });
       showStatusMessage(`Game board loaded with ${data.pieces.length} pieces`, 'info', 3000);
     }
+
+    // Our own hand; other hands are only counted
+    hand = {};
+    (data.hand || []).forEach(card => {
+      hand[card.id] = card;
+    });
+    handCounts = data.hands || {};
+    renderHand();
+
+    turns = data.turns || null;
+    updateRoster();
   });
 
   // When a piece is locked by another player
@@ -284,6 +362,8 @@ function setupSocketEvents() {
     console.log('Piece locked:', data);
     if (pieces[data.pieceId]) {
       pieces[data.pieceId].locked = true;
+      pieces[data.pieceId].lockedBy = data.playerId;
+      pieces[data.pieceId].lockExpiresAt = data.expiresAt;
       pieces[data.pieceId].element.classList.add('locked');
     }
   });
@@ -293,37 +373,225 @@ function setupSocketEvents() {
     console.log('Piece unlocked:', data);
     if (pieces[data.pieceId]) {
       pieces[data.pieceId].locked = false;
+      pieces[data.pieceId].lockedBy = null;
+      pieces[data.pieceId].lockExpiresAt = null;
       pieces[data.pieceId].element.classList.remove('locked');
     }
   });
 
   // When a token is granted
-  socket.on('token-granted', (pieceId) => {
-    console.log('Token granted for piece:', pieceId);
+  socket.on('token-granted', (data) => {
+    console.log('Token granted for piece:', data);
+    const piece = pieces[data.pieceId];
+
+    if (piece) {
+      piece.locked = false;
+      piece.lockedBy = null;
+      piece.lockExpiresAt = null;
+      piece.element.classList.remove('locked');
+    }
+
+    // Finish an action (flip, restack) that was waiting for the token
+    if (pendingActions[data.pieceId]) {
+      pendingActions[data.pieceId]();
+      socket.emit('release-token', data.pieceId);
+      delete pendingActions[data.pieceId];
+    }
+
+    // Our turn came up after waiting in line
+    if (data.fromQueue) {
+      showStatusMessage('Your turn: you can move the piece you were waiting for', 'success', 5000);
+    }
+  });
+
+  // When the tokens of a multi-selection are granted
+  socket.on('tokens-granted', (data) => {
+    console.log('Tokens granted for pieces:', data);
+    data.pieceIds.forEach(pieceId => {
+      const piece = pieces[pieceId];
+
+      if (piece) {
+        piece.locked = false;
+        piece.lockedBy = null;
+        piece.lockExpiresAt = null;
+        piece.element.classList.remove('locked');
+      }
+    });
+
+    // Finish an action (attach) that was waiting for the tokens
+    if (pendingActions[data.pieceIds[0]]) {
+      pendingActions[data.pieceIds[0]]();
+      socket.emit('release-tokens', data.pieceIds);
+      delete pendingActions[data.pieceIds[0]];
+    }
+  });
+
+  // When the tokens of a multi-selection are denied (none were taken)
+  socket.on('tokens-denied', (data) => {
+    console.log('Tokens denied for pieces:', data);
+    delete pendingActions[data.pieceIds[0]];
+
+    // Undo the group drag that started before the server answered
+    data.pieceIds.forEach(pieceId => {
+      if (pieces[pieceId] && pieces[pieceId].cancelDrag) {
+        pieces[pieceId].cancelDrag();
+      }
+    });
+
+    const blocked = pieces[data.pieceId];
+    if (blocked && data.playerId && data.playerId !== clientId) {
+      blocked.locked = true;
+      blocked.lockedBy = data.playerId;
+      blocked.lockExpiresAt = data.expiresAt;
+      blocked.element.classList.add('locked');
+    }
+
+    if (data.error) {
+      showStatusMessage(data.error, 'warning', 3000);
+    } else if (data.playerId) {
+      showStatusMessage(`Player ${data.playerId} is holding one of the selected pieces`, 'warning', 3000);
+    } else {
+      showStatusMessage('Cannot move the selected pieces right now', 'warning', 3000);
+    }
+  });
+
+  // When another player takes a group of pieces
+  socket.on('pieces-locked', (data) => {
+    console.log('Pieces locked:', data);
+    data.pieceIds.forEach(pieceId => {
+      if (pieces[pieceId]) {
+        pieces[pieceId].locked = true;
+        pieces[pieceId].lockedBy = data.playerId;
+        pieces[pieceId].lockExpiresAt = data.expiresAt;
+        pieces[pieceId].element.classList.add('locked');
+      }
+    });
+  });
+
+  // When we have joined the line for a piece
+  socket.on('token-queued', (data) => {
+    console.log('Queued for piece:', data);
+    showStatusMessage(`Waiting for player ${data.playerId || 'unknown'}: you are #${data.position} in line`, 'info', 5000);
+  });
+
+  // When our place in line changes
+  socket.on('queue-position', (data) => {
+    console.log('Queue position:', data);
+    showStatusMessage(`You are now #${data.position} in line for a piece`, 'info', 3000);
+  });
+
+  // When we have left the line for a piece
+  socket.on('token-queue-left', (data) => {
+    console.log('Left queue for piece:', data);
+  });
+
+  // When a held token is extended
+  socket.on('token-renewed', (data) => {
+    console.log('Token renewed for piece:', data);
+  });
+
+  // When a token is denied (another player holds the piece)
+  socket.on('token-denied', (data) => {
+    console.log('Token denied for piece:', data);
+    const piece = pieces[data.pieceId];
+    delete pendingActions[data.pieceId];
+
+    if (piece) {
+      // Undo any local drag that started before the server answered
+      if (piece.cancelDrag) {
+        piece.cancelDrag();
+      }
+
+      if (data.playerId && data.playerId !== clientId) {
+        piece.locked = true;
+        piece.lockedBy = data.playerId;
+        piece.lockExpiresAt = data.expiresAt;
+        piece.element.classList.add('locked');
+      }
+    }
+
+    if (data.error) {
+      showStatusMessage(data.error, 'warning', 3000);
+    } else if (data.playerId) {
+      const seconds = data.expiresAt
+        ? Math.max(0, Math.ceil((new Date(data.expiresAt) - Date.now()) / 1000))
+        : null;
+      const until = seconds !== null ? ` for up to ${seconds}s` : '';
+      showStatusMessage(`Player ${data.playerId} is holding this piece${until}`, 'warning', 3000);
+    } else {
+      showStatusMessage('Cannot interact with this piece right now', 'warning', 3000);
+    }
   });
 
-  // When a token is denied
-  socket.on('token-denied', (pieceId) => {
-    console.log('Token denied for piece:', pieceId);
-    showStatusMessage('Cannot interact with this piece right now', 'warning', 3000);
+  // Board size, background and grid, on join and whenever they change
+  socket.on('board-settings', (data) => {
+    console.log('Board settings:', data);
+    applyBoardSettings(data.settings);
+
+    if (data.updatedBy !== undefined) {
+      showStatusMessage('Board settings updated', 'info', 2000);
+    }
   });
 
-  // When a piece is moved by another player
+  // When a piece is moved; our own moves come back with the final
+  // positions, which differ from the drop when a zone arranged the pieces
   socket.on('piece-moved', (data) => {
     console.log('Piece moved:', data);
-    if (data.playerId !== clientId && pieces[data.pieceId]) {
-      movePiece(pieces[data.pieceId].element, data.x, data.y);
+    placePieces([data, ...(data.children || []), ...(data.arranged || [])]);
+  });
+
+  // When a group of pieces is moved
+  socket.on('pieces-moved', (data) => {
+    console.log('Pieces moved:', data);
+    placePieces([...data.pieces, ...(data.arranged || [])]);
+  });
+
+  // When a move was undone because a zone refused the pieces
+  socket.on('move-refused', (data) => {
+    console.log('Move refused:', data);
+    placePieces(data.pieces);
+    showStatusMessage(data.error, 'warning', 3000);
+  });
+
+  // Zones of the board, on join and whenever they change
+  socket.on('zones-updated', (data) => {
+    console.log('Zones updated:', data);
+    zones = data.zones;
+    renderZones();
+
+    if (data.updatedBy !== undefined) {
+      showStatusMessage('Board zones updated', 'info', 2000);
+    }
+  });
+
+  socket.on('piece-entered-zone', (data) => {
+    console.log('Piece entered zone:', data);
+    if (data.playerId === clientId) {
+      showStatusMessage(`Moved into ${data.name}`, 'info', 2000);
     }
   });
 
+  socket.on('piece-left-zone', (data) => {
+    console.log('Piece left zone:', data);
+  });
+
   socket.on('piece-dragged', (data) => {
     // Only update pieces moved by other players, not our own movements
     if (data.playerId !== clientId && pieces[data.pieceId]) {
       // Use a smooth transition for drag updates
       const pieceElement = pieces[data.pieceId].element;
+      const dx = data.x - pieces[data.pieceId].x;
+      const dy = data.y - pieces[data.pieceId].y;
       pieceElement.style.transition = 'transform 0.1s ease-out';
       movePiece(pieceElement, data.x, data.y);
 
+      // Attached pieces follow; the final positions come with piece-moved
+      descendantsOf([data.pieceId]).forEach(childId => {
+        if (pieces[childId]) {
+          movePiece(pieces[childId].element, pieces[childId].x + dx, pieces[childId].y + dy);
+        }
+      });
+
       // Remove the transition after it completes to allow for crisp movement
       setTimeout(() => {
         pieceElement.style.transition = '';
@@ -331,33 +599,203 @@ function setupSocketEvents() {
     }
   });
 
+  socket.on('cursor-moved', (data) => {
+    if (data.playerId !== clientId) {
+      showRemoteCursor(data.playerId, data.x, data.y);
+    }
+  });
+
+  // Decks and hands
+  socket.on('deck-added', (data) => {
+    if (!pieces[data.deck.id]) {
+      addDeckToBoard(data.deck);
+    }
+  });
+
+  socket.on('deck-shuffled', (data) => {
+    const player = players[data.playerId];
+    showStatusMessage(`${player ? player.name : 'A player'} shuffled a deck`, 'info', 2000);
+  });
+
+  socket.on('deck-updated', (data) => {
+    updateDeckCount(data.deckId, data.cardCount);
+  });
+
+  socket.on('card-drawn', (data) => {
+    hand[data.card.id] = data.card;
+    renderHand();
+  });
+
+  socket.on('hand-updated', (data) => {
+    handCounts[data.playerId] = data.count;
+    updateRoster();
+  });
+
+  socket.on('card-played', (data) => {
+    const { card } = data;
+
+    if (hand[card.id]) {
+      delete hand[card.id];
+      renderHand();
+    }
+
+    if (!pieces[card.id]) {
+      addPieceToBoard(card.id, card.assetUrl, card.x, card.y, card.owner);
+      setPieceTransform(card.id, card);
+    }
+
+    // Pieces an auto-arrange zone laid out again around the card
+    placePieces(data.arranged || []);
+  });
+
   // When a new piece is added
   socket.on('piece-added', (data) => {
     console.log('Piece added:', data);
     if (data.playerId !== clientId) {
-      addPieceToBoard(data.pieceId, data.assetUrl, data.x, data.y, data.playerId);
+      addPieceToBoard(data.pieceId, data.assetUrl, data.x, data.y, data.playerId, data.faces, data.faceIndex);
+      setPieceTransform(data.pieceId, data);
+      setPieceVisibility(data.pieceId, data.visibility);
+    }
+  });
+
+  // When a piece is shown to everyone; players who could not see it get
+  // all of it
+  socket.on('piece-revealed', (data) => {
+    console.log('Piece revealed:', data);
+    if (!pieces[data.pieceId]) {
+      addPieceToBoard(data.pieceId, data.assetUrl, data.x, data.y, data.owner, data.faces, data.faceIndex);
+      setPieceTransform(data.pieceId, data);
+      setPieceParent(data.pieceId, data.parentId);
+    }
+    setPieceVisibility(data.pieceId, data.visibility);
+  });
+
+  // When a piece is rotated, scaled or restacked
+  socket.on('piece-transformed', (data) => {
+    if (data.playerId !== clientId) {
+      setPieceTransform(data.pieceId, data);
+    }
+  });
+
+  socket.on('piece-restacked', (data) => {
+    setPieceTransform(data.pieceId, { zIndex: data.zIndex });
+  });
+
+  // When a multi-face piece shows another face
+  socket.on('piece-flipped', (data) => {
+    const piece = pieces[data.pieceId];
+
+    if (piece) {
+      piece.faceIndex = data.faceIndex;
+      piece.assetUrl = data.assetUrl;
+      piece.element.querySelector('img').src = `${API_URL}${faceUrl(piece.faces, piece.faceIndex) || data.assetUrl}`;
+    }
+
+    if (data.random && data.playerId !== clientId) {
+      const player = players[data.playerId];
+      showStatusMessage(`${player ? player.name : 'A player'} rolled face ${data.faceIndex + 1}`, 'info', 2000);
     }
   });
 
-  // When a piece is removed
+  // When a piece is removed, along with or leaving behind the pieces
+  // attached to it
   socket.on('piece-removed', (data) => {
     console.log('Piece removed:', data);
-    if (pieces[data.pieceId]) {
-      gameBoard.removeChild(pieces[data.pieceId].element);
-      delete pieces[data.pieceId];
+    const removed = data.removed || [data.pieceId];
+
+    removed.forEach(pieceId => {
+      if (pieces[pieceId]) {
+        gameBoard.removeChild(pieces[pieceId].element);
+        delete pieces[pieceId];
+      }
+    });
+    (data.detached || []).forEach(pieceId => setPieceParent(pieceId, null));
+
+    selectPieces([...selectedPieces].filter(pieceId => !removed.includes(pieceId)));
+  });
+
+  // When a piece is attached to or detached from a parent
+  socket.on('piece-attached', (data) => {
+    console.log('Piece attached:', data);
+    setPieceParent(data.pieceId, data.parentId);
+  });
+
+  socket.on('piece-detached', (data) => {
+    console.log('Piece detached:', data);
+    setPieceParent(data.pieceId, null);
+  });
+
+  // Roster snapshot on join, followed by diffs
+  socket.on('roster', (data) => {
+    players = {};
+    data.players.forEach(player => {
+      players[player.playerId] = player;
+    });
+    updateRoster();
+  });
+
+  socket.on('player-joined', (player) => {
+    players[player.playerId] = player;
+    updateRoster();
+    showStatusMessage(`${player.name} joined`, 'info', 3000);
+  });
+
+  socket.on('player-updated', (player) => {
+    players[player.playerId] = player;
+    updateRoster();
+
+    if (cursors[player.playerId]) {
+      styleRemoteCursor(cursors[player.playerId].element, player);
     }
   });
 
-  // When player count updates
-  socket.on('player-joined', (data) => {
-    playerCount++;
-    updatePlayerCount();
-    showStatusMessage(`Player ${data.playerId} joined`, 'info', 3000);
+  // Chat history on join, then each new message
+  socket.on('chat-history', (data) => {
+    chatMessages.innerHTML = '';
+    data.messages.forEach(renderChatMessage);
+  });
+
+  socket.on('chat-message', (message) => {
+    renderChatMessage(message);
+  });
+
+  socket.on('dice-rolled', (roll) => {
+    renderDiceRoll(roll);
+  });
+
+  // Clocks and timers on join, after every change and after a load
+  socket.on('clocks-updated', (data) => {
+    console.log('Clocks updated:', data);
+    clockView = data;
+    clockOffset = new Date(data.serverTime) - Date.now();
+    renderClocks();
+  });
+
+  socket.on('clock-flagged', (data) => {
+    const player = players[data.playerId];
+    const name = data.playerId === clientId ? 'Your' : `${player ? player.name : 'A player'}'s`;
+    showStatusMessage(`${name} clock ran out`, 'warning', 5000);
+  });
+
+  socket.on('timer-expired', (data) => {
+    showStatusMessage(`Timer "${data.timer.name}" ran out`, 'info', 5000);
+  });
+
+  // When the turn order is set or a player ends their turn
+  socket.on('turn-changed', (data) => {
+    console.log('Turn changed:', data);
+    turns = data.turns;
+    updateRoster();
+
+    if (turns.current === clientId) {
+      showStatusMessage(`Your turn (round ${turns.round})`, 'info', 3000);
+    }
   });
 
   socket.on('player-left', (data) => {
-    playerCount = Math.max(0, playerCount - 1);
-    updatePlayerCount();
+    delete players[data.playerId];
+    updateRoster();
+    removeRemoteCursor(data.playerId);
   });
 
   // When an error occurs
@@ -384,14 +822,32 @@ function setupSocketEvents() {
     }
   });
 
+  socket.on('game-renamed', (data) => {
+    console.log('Game renamed:', data);
+    showStatusMessage(`Game renamed to: ${data.name}`, 'info', 3000);
+  });
+
+  socket.on('game-deleted', (data) => {
+    console.log('Game deleted:', data);
+    pieces = {};
+    players = {};
+    cursors = {};
+    hand = {};
+    handCounts = {};
+    renderHand();
+    gameBoard.innerHTML = '';
+    chatMessages.innerHTML = '';
+    updateRoster();
+    showStatusMessage('This game has been closed', 'warning');
+  });
+
     // Handle reconnection
   socket.on('reconnect', () => {
     console.log('Reconnected to server');
-    clientId = socket.id; // Update client ID on reconnection
     updateConnectionStatus(true);
 
-    // Request fresh game state
-    socket.emit('get-game-state');
+    // Rejoin the game to get a fresh state
+    socket.emit('join-game', gameId);
   });
 }
 
@@ -410,15 +866,59 @@ function addEventListeners() {
 
   // Game board click (for adding pieces)
   gameBoard.addEventListener('click', (e) => {
-    if (selectedAsset && e.target === gameBoard) {
-      const rect = gameBoard.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+    if (e.target !== gameBoard) {
+      return;
+    }
 
+    // The press drew a selection rectangle
+    if (selectionMoved) {
+      selectionMoved = false;
+      return;
+    }
+
+    const rect = gameBoard.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+
+    if (selectedCard) {
+      // Play the selected card from our hand
+      socket.emit('play-card', { cardId: selectedCard, x, y });
+      selectedCard = null;
+    } else if (selectedAsset) {
       addNewPiece(selectedAsset, x, y);
     }
   });
 
+  // Rubber-band selection on empty board space
+  gameBoard.addEventListener('mousedown', startSelectionBox);
+
+  // Share our pointer position with the other players
+  gameBoard.addEventListener('mousemove', (e) => {
+    const rect = gameBoard.getBoundingClientRect();
+    sendCursorUpdate(e.clientX - rect.left, e.clientY - rect.top);
+  });
+
+  // Chat form
+  chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+
+    if (text) {
+      socket.emit('chat-message', text);
+      chatInput.value = '';
+    }
+  });
+
+  // Dice form
+  diceForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const notation = diceInput.value.trim();
+
+    if (notation) {
+      socket.emit('roll-dice', notation);
+    }
+  });
+
   // Clear selection button
   btnClear.addEventListener('click', () => {
     clearSelection();
@@ -431,6 +931,96 @@ function addEventListeners() {
     showStatusMessage('Refreshing game board...', 'info', 2000);
   });
 
+  // Restack the selected piece
+  document.getElementById('btn-front').addEventListener('click', () => {
+    restackSelectedPiece('bring-to-front');
+  });
+
+  document.getElementById('btn-back').addEventListener('click', () => {
+    restackSelectedPiece('send-to-back');
+  });
+
+  // Group the selected pieces
+  document.getElementById('btn-attach').addEventListener('click', () => {
+    attachSelectedPieces();
+  });
+
+  document.getElementById('btn-detach').addEventListener('click', () => {
+    detachSelectedPieces();
+  });
+
+  // Show the selected piece to everyone
+  document.getElementById('btn-reveal').addEventListener('click', () => {
+    if (!selectedPiece || !pieces[selectedPiece]) {
+      showStatusMessage('Select a piece first', 'warning', 2000);
+      return;
+    }
+
+    socket.emit('reveal-piece', selectedPiece);
+  });
+
+  // Take turns in the order players appear in the roster
+  document.getElementById('btn-turn-order').addEventListener('click', () => {
+    socket.emit('set-turn-order', {
+      order: Object.keys(players),
+      strict: document.getElementById('turn-strict').checked
+    });
+  });
+
+  // Pass the turn to the next player
+  document.getElementById('btn-end-turn').addEventListener('click', () => {
+    socket.emit('end-turn');
+  });
+
+  // Fresh clocks in turn order, or roster order without one
+  document.getElementById('btn-clocks-set').addEventListener('click', () => {
+    socket.emit('set-clocks', {
+      order: turns && turns.order.length > 0 ? turns.order : Object.keys(players),
+      initialMs: Number(document.getElementById('clock-minutes').value) * 60000,
+      mode: document.getElementById('clock-mode').value,
+      bonusMs: Number(document.getElementById('clock-bonus').value) * 1000
+    });
+  });
+
+  document.getElementById('btn-clocks-start').addEventListener('click', () => {
+    socket.emit('start-clocks');
+  });
+
+  document.getElementById('btn-clocks-pause').addEventListener('click', () => {
+    socket.emit('pause-clocks');
+  });
+
+  document.getElementById('btn-clock-press').addEventListener('click', () => {
+    socket.emit('press-clock');
+  });
+
+  document.getElementById('timer-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = document.getElementById('timer-name').value.trim();
+
+    if (name) {
+      socket.emit('start-timer', {
+        name,
+        durationMs: Number(document.getElementById('timer-minutes').value) * 60000
+      });
+      document.getElementById('timer-name').value = '';
+    }
+  });
+
+  // Pause, resume and cancel buttons of the listed timers
+  timerList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-timer-action]');
+
+    if (button) {
+      socket.emit(button.dataset.timerAction, button.dataset.timerId);
+    }
+  });
+
+  // New deck button
+  document.getElementById('btn-deck').addEventListener('click', () => {
+    createDeckFromAssets();
+  });
+
   // Save game button
   document.getElementById('btn-save').addEventListener('click', () => {
     showSaveDialog();
@@ -499,6 +1089,8 @@ function renderAssetList(assets) {
     return;
   }
 
+  availableAssets = assets;
+
   assets.forEach(asset => {
     const assetItem = document.createElement('div');
     assetItem.className = 'asset-item';
@@ -510,7 +1102,7 @@ function renderAssetList(assets) {
       <span>${asset.originalName || asset.filename}</span>
     `;
 
-    assetItem.addEventListener('click', () => {
+    assetItem.addEventListener('click', (e) => {
       // Deselect any currently selected asset
       document.querySelectorAll('.asset-item.active').forEach(item => {
         item.classList.remove('active');
@@ -522,6 +1114,21 @@ function renderAssetList(assets) {
         id: asset.id,
         url: asset.url
       };
+      selectedCard = null;
+
+      // Shift-click collects the faces of a multi-face piece
+      if (e.shiftKey) {
+        selectedFaces.push(selectedAsset);
+        document.querySelectorAll('.asset-item').forEach(item => {
+          if (selectedFaces.some(face => face.id === item.dataset.assetId)) {
+            item.classList.add('active');
+          }
+        });
+        showStatusMessage(`${selectedFaces.length} faces selected. Click on the board to place the piece.`, 'info', 3000);
+        return;
+      }
+
+      selectedFaces = [selectedAsset];
 
       console.log('Selected asset:', selectedAsset);
       showStatusMessage('Asset selected. Click on the board to place it.', 'info', 3000);
@@ -541,33 +1148,64 @@ function addNewPiece(asset, x, y) {
   const pieceId = `piece-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const assetUrl = asset.url;
 
+  // Place it where the server will
+  ({ x, y } = snapToGrid(x, y));
+
+  // Several shift-clicked assets become the faces of one piece
+  const faces = selectedFaces.length > 1 ? selectedFaces.map(face => face.id) : undefined;
+
+  // Who else sees it
+  const visibility = document.getElementById('new-piece-visibility').value;
+
   // Add piece locally (will be confirmed by server)
-  addPieceToBoard(pieceId, assetUrl, x, y, clientId);
+  addPieceToBoard(pieceId, assetUrl, x, y, clientId, faces, 0);
+  setPieceVisibility(pieceId, visibility);
 
   // Send to server
   socket.emit('add-piece', {
     pieceId,
     assetUrl,
     x,
-    y
+    y,
+    faces,
+    visibility
   });
 }
 
-// Add a piece to the game board
-function addPieceToBoard(pieceId, assetUrl, x, y, owner) {
+// URL of a multi-face piece's current face, if its asset is known here
+function faceUrl(faces, faceIndex) {
+  if (!faces) {
+    return null;
+  }
+
+  const asset = availableAssets.find(item => item.id === faces[faceIndex]);
+  return asset ? asset.url : null;
+}
+
+// Add a piece to the game board, showing its current face
+function addPieceToBoard(pieceId, assetUrl, x, y, owner, faces = null, faceIndex = 0) {
   // Create the piece element
   const pieceElement = document.createElement('div');
   pieceElement.className = 'piece';
   pieceElement.dataset.pieceId = pieceId;
 
-  // Create the image
-  const img = document.createElement('img');
-  img.src = `${API_URL}${assetUrl}`;
-  img.alt = "Game piece";
-  img.draggable = false; // Prevent default image drag behavior
+  const imageUrl = faceUrl(faces, faceIndex) || assetUrl;
 
-  // Add image to piece
-  pieceElement.appendChild(img);
+  if (imageUrl) {
+    // Create the image
+    const img = document.createElement('img');
+    img.src = `${API_URL}${imageUrl}`;
+    img.alt = "Game piece";
+    img.draggable = false; // Prevent default image drag behavior
+
+    // Add image to piece
+    pieceElement.appendChild(img);
+  } else {
+    // Pieces without an image (e.g. decks without a back) show a plain card back
+    const back = document.createElement('div');
+    back.className = 'card-back';
+    pieceElement.appendChild(back);
+  }
 
   // Set initial position
   pieceElement.style.left = `${x}px`;
@@ -582,14 +1220,30 @@ function addPieceToBoard(pieceId, assetUrl, x, y, owner) {
     element: pieceElement,
     assetUrl,
     owner,
+    faces,
+    faceIndex,
     x,
     y,
+    rotation: 0,
+    scale: 1,
+    zIndex: 0,
     locked: false
   };
 
   // Add drag functionality
   makeElementDraggable(pieceElement);
 
+  // Double-click shows the next face, shift+double-click a random one
+  if (faces && faces.length > 1) {
+    pieceElement.addEventListener('dblclick', (e) => {
+      const random = e.shiftKey;
+      runWithToken(pieceId, () => socket.emit('flip-piece', { pieceId, random }));
+    });
+  }
+
+  // Rotate and resize handles, shown while the piece is selected
+  makeElementTransformable(pieceElement);
+
   // Log success
   console.log(`Piece added: ${pieceId} at position (${x}, ${y})`);
 
@@ -600,6 +1254,10 @@ function addPieceToBoard(pieceId, assetUrl, x, y, owner) {
 function makeElementDraggable(element) {
   let isDragging = false;
   let startX, startY, initialX, initialY;
+  let renewTimer = null;
+  let batch = null; // IDs of a multi-selection being dragged, null for a single piece
+  let tokenIds = []; // Pieces whose tokens the drag needs, attached pieces included
+  let group = []; // Other pieces dragged along (selected or attached), with their start positions
 
   element.addEventListener('mousedown', startDrag);
   element.addEventListener('touchstart', startDrag, { passive: false });
@@ -616,18 +1274,63 @@ function makeElementDraggable(element) {
       return;
     }
 
-    // Check if piece is already locked
-    if (pieces[pieceId] && pieces[pieceId].locked) {
-      showStatusMessage('This piece is currently being moved by another player', 'warning', 2000);
+    // Shift-click adds the piece to the selection or takes it out
+    if (e.shiftKey) {
+      togglePieceSelection(pieceId);
       return;
     }
 
-    // Request authority token for this piece
-    socket.emit('request-token', pieceId);
+    // Dragging one piece of a multi-selection moves all of it
+    const pieceIds = selectedPieces.has(pieceId) && selectedPieces.size > 1
+      ? [...selectedPieces]
+      : [pieceId];
+
+    // Attached pieces follow their parents, so the drag needs their tokens too
+    const attachedIds = descendantsOf(pieceIds).filter(id => pieces[id]);
+    tokenIds = [...pieceIds, ...attachedIds];
+
+    if (tokenIds.length > 1) {
+      // No waiting in line for a group: every piece must be free
+      if (tokenIds.some(id => pieces[id] && pieces[id].locked)) {
+        showStatusMessage('Another player is holding one of these pieces', 'warning', 3000);
+        return;
+      }
+
+      // Request every token at once; the server grants all or none
+      socket.emit('request-tokens', tokenIds);
+    } else {
+      // Wait in line if another player holds the piece
+      if (pieces[pieceId] && pieces[pieceId].locked) {
+        socket.emit('join-token-queue', pieceId);
+        return;
+      }
+
+      // Request authority token for this piece
+      socket.emit('request-token', pieceId);
+    }
+    batch = pieceIds.length > 1 ? pieceIds : null;
+
+    group = [...pieceIds.filter(id => id !== pieceId), ...attachedIds]
+      .filter(id => pieces[id])
+      .map(id => ({
+        element: pieces[id].element,
+        x: parseFloat(pieces[id].element.style.left) || 0,
+        y: parseFloat(pieces[id].element.style.top) || 0
+      }));
 
     // Setup move tracking
     isDragging = true;
 
+    // Keep the tokens alive during long drags
+    renewTimer = setInterval(() => {
+      tokenIds.forEach(id => socket.emit('renew-token', id));
+    }, TOKEN_RENEW_INTERVAL);
+
+    // Let a token denial abort this drag
+    if (pieces[pieceId]) {
+      pieces[pieceId].cancelDrag = cancelDrag;
+    }
+
     // Get cursor position
     if (e.type === 'touchstart') {
       startX = e.touches[0].clientX;
@@ -638,14 +1341,17 @@ function makeElementDraggable(element) {
     }
 
     // Get current position (already set in the style)
-    initialX = parseInt(element.style.left) || 0;
-    initialY = parseInt(element.style.top) || 0;
+    initialX = parseFloat(element.style.left) || 0;
+    initialY = parseFloat(element.style.top) || 0;
 
     // Add dragging class
     element.classList.add('dragging');
+    group.forEach(member => member.element.classList.add('dragging'));
 
     // Select this piece
-    selectedPiece = pieceId;
+    if (!batch) {
+      selectPiece(pieceId);
+    }
 
     // Add document-level event listeners
     document.addEventListener('mousemove', drag);
@@ -679,6 +1385,16 @@ function makeElementDraggable(element) {
     element.style.left = `${newX}px`;
     element.style.top = `${newY}px`;
 
+    group.forEach(member => {
+      member.element.style.left = `${member.x + dx}px`;
+      member.element.style.top = `${member.y + dy}px`;
+    });
+
+    // A multi-selection is shown to the other players once it is dropped
+    if (batch) {
+      return;
+    }
+
     // Send drag updates to server (throttled)
     sendDragUpdate(element.dataset.pieceId, newX, newY);
   }
@@ -691,23 +1407,31 @@ function makeElementDraggable(element) {
       e.preventDefault();
     }
 
-    isDragging = false;
+    const pieceId = element.dataset.pieceId;
+    const pieceIds = batch;
+    const dx = (parseFloat(element.style.left) || 0) - initialX;
+    const dy = (parseFloat(element.style.top) || 0) - initialY;
 
-    // Remove dragging class
-    element.classList.remove('dragging');
+    endDrag();
 
-    // Remove document-level event listeners
-    document.removeEventListener('mousemove', drag);
-    document.removeEventListener('touchmove', drag);
-    document.removeEventListener('mouseup', stopDrag);
-    document.removeEventListener('touchend', stopDrag);
+    // Keep our record of the positions in step with the screen
+    movePiece(element, initialX + dx, initialY + dy);
+    group.forEach(member => movePiece(member.element, member.x + dx, member.y + dy));
 
-    const pieceId = element.dataset.pieceId;
+    // Persist the whole multi-selection's offset in one write
+    if (pieceIds && pieces[pieceId] && socket.connected) {
+      socket.emit('move-pieces', { pieceIds, dx, dy });
+      socket.emit('release-tokens', tokenIds);
+      return;
+    }
 
     // Send final position to server to persist the change
     if (pieces[pieceId] && socket.connected) {
-      const x = parseInt(element.style.left) || 0;
-      const y = parseInt(element.style.top) || 0;
+      const { x, y } = snapToGrid(initialX + dx, initialY + dy);
+
+      // The server snaps the same way and moves attached pieces by as much
+      movePiece(element, x, y);
+      group.forEach(member => movePiece(member.element, member.x + x - initialX, member.y + y - initialY));
 
       // Send to server (this persists the position)
       socket.emit('move-piece', {
@@ -716,17 +1440,617 @@ function makeElementDraggable(element) {
         y
       });
 
-      // Release token
-      socket.emit('release-token', pieceId);
+      // Release the tokens
+      socket.emit('release-tokens', tokenIds);
     }
   }
-}
 
-// Move a piece to a specific position
-function movePiece(element, x, y) {
-  // Set the position of the piece
-  element.style.left = `${x}px`;
-  element.style.top = `${y}px`;
+  // Stop tracking the drag and clean up listeners
+  function endDrag() {
+    isDragging = false;
+
+    // Stop renewing the token
+    clearInterval(renewTimer);
+    renewTimer = null;
+
+    const piece = pieces[element.dataset.pieceId];
+    if (piece && piece.cancelDrag === cancelDrag) {
+      delete piece.cancelDrag;
+    }
+
+    // Remove dragging class
+    element.classList.remove('dragging');
+    group.forEach(member => member.element.classList.remove('dragging'));
+
+    // Remove document-level event listeners
+    document.removeEventListener('mousemove', drag);
+    document.removeEventListener('touchmove', drag);
+    document.removeEventListener('mouseup', stopDrag);
+    document.removeEventListener('touchend', stopDrag);
+  }
+
+  // Abort the drag and put the pieces back where they started
+  function cancelDrag() {
+    if (!isDragging) return;
+
+    endDrag();
+    movePiece(element, initialX, initialY);
+    group.forEach(member => movePiece(member.element, member.x, member.y));
+  }
+}
+
+// Add a deck to the board: a card back with a count, double-click to draw
+function addDeckToBoard(deck) {
+  const deckElement = addPieceToBoard(deck.id, deck.assetUrl, deck.x, deck.y, deck.owner);
+  deckElement.classList.add('deck');
+
+  const count = document.createElement('span');
+  count.className = 'deck-count';
+  deckElement.appendChild(count);
+
+  const shuffleButton = document.createElement('button');
+  shuffleButton.className = 'btn btn-sm btn-light deck-shuffle';
+  shuffleButton.textContent = 'Shuffle';
+  shuffleButton.addEventListener('mousedown', (e) => {
+    e.stopPropagation(); // Don't start dragging the deck
+  });
+  shuffleButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    runWithToken(deck.id, () => socket.emit('shuffle-deck', deck.id));
+  });
+  deckElement.appendChild(shuffleButton);
+
+  deckElement.addEventListener('dblclick', () => {
+    runWithToken(deck.id, () => socket.emit('draw-card', deck.id));
+  });
+
+  updateDeckCount(deck.id, deck.cardCount);
+  return deckElement;
+}
+
+// Show how many cards are left in a deck
+function updateDeckCount(deckId, cardCount) {
+  if (pieces[deckId]) {
+    pieces[deckId].element.querySelector('.deck-count').textContent = cardCount;
+  }
+}
+
+// Create a deck with one card per uploaded asset in the middle of the board
+function createDeckFromAssets() {
+  if (availableAssets.length === 0) {
+    showStatusMessage('Upload some assets to make a deck from', 'warning', 3000);
+    return;
+  }
+
+  const deckId = `deck-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  socket.emit('create-deck', {
+    deckId,
+    x: Math.round(gameBoard.clientWidth / 2),
+    y: Math.round(gameBoard.clientHeight / 2),
+    backUrl: null,
+    cards: availableAssets.map((asset, index) => ({
+      cardId: `${deckId}-card-${index}`,
+      assetUrl: asset.url
+    }))
+  });
+}
+
+// Show the cards in our hand; click one, then the board, to play it
+function renderHand() {
+  handArea.innerHTML = '';
+
+  const cards = Object.values(hand);
+
+  if (cards.length === 0) {
+    handArea.innerHTML = '<p class="text-muted">Double-click a deck to draw a card</p>';
+    return;
+  }
+
+  cards.forEach(card => {
+    const cardItem = document.createElement('div');
+    cardItem.className = 'hand-card';
+
+    if (card.id === selectedCard) {
+      cardItem.classList.add('active');
+    }
+
+    cardItem.innerHTML = `<img src="${API_URL}${card.assetUrl}" alt="Card" draggable="false">`;
+
+    cardItem.addEventListener('click', () => {
+      document.querySelectorAll('.hand-card.active').forEach(item => {
+        item.classList.remove('active');
+      });
+
+      cardItem.classList.add('active');
+      selectedCard = card.id;
+      selectedAsset = null;
+      showStatusMessage('Card selected. Click on the board to play it.', 'info', 3000);
+    });
+
+    handArea.appendChild(cardItem);
+  });
+}
+
+// Ask for a piece's token and run an action once it is granted; the
+// token is released right after
+function runWithToken(pieceId, action) {
+  if (!socket.connected) {
+    showStatusMessage('Not connected to server.', 'warning');
+    return;
+  }
+
+  pendingActions[pieceId] = action;
+  socket.emit('request-token', pieceId);
+}
+
+// Ask for the tokens of several pieces and run an action once all of them
+// are granted (kept under the first piece's ID); the tokens are released
+// right after
+function runWithTokens(pieceIds, action) {
+  if (!socket.connected) {
+    showStatusMessage('Not connected to server.', 'warning');
+    return;
+  }
+
+  pendingActions[pieceIds[0]] = action;
+  socket.emit('request-tokens', pieceIds);
+}
+
+// Mark a piece as the only selected one (null to clear)
+function selectPiece(pieceId) {
+  selectPieces(pieceId ? [pieceId] : []);
+}
+
+// Replace the selection; the last piece becomes the one handles and
+// restacking act on
+function selectPieces(pieceIds) {
+  selectedPieces.forEach(pieceId => {
+    if (pieces[pieceId]) {
+      pieces[pieceId].element.classList.remove('selected');
+    }
+  });
+
+  selectedPieces = new Set(pieceIds.filter(pieceId => pieces[pieceId]));
+  selectedPieces.forEach(pieceId => pieces[pieceId].element.classList.add('selected'));
+
+  const ids = [...selectedPieces];
+  selectedPiece = ids.length > 0 ? ids[ids.length - 1] : null;
+  gameBoard.classList.toggle('multi-select', selectedPieces.size > 1);
+}
+
+// Add a piece to the selection, or take it out if already selected
+function togglePieceSelection(pieceId) {
+  const ids = [...selectedPieces].filter(id => id !== pieceId);
+
+  if (!selectedPieces.has(pieceId)) {
+    ids.push(pieceId);
+  }
+
+  selectPieces(ids);
+}
+
+// Start drawing a selection rectangle from a press on empty board space
+function startSelectionBox(e) {
+  selectionMoved = false;
+
+  if (e.target !== gameBoard || e.button !== 0) {
+    return;
+  }
+
+  const rect = gameBoard.getBoundingClientRect();
+  const originX = e.clientX;
+  const originY = e.clientY;
+  const additive = e.shiftKey;
+
+  function update(moveEvent) {
+    const left = Math.min(originX, moveEvent.clientX);
+    const top = Math.min(originY, moveEvent.clientY);
+    const width = Math.abs(moveEvent.clientX - originX);
+    const height = Math.abs(moveEvent.clientY - originY);
+
+    // Small jitters stay a click
+    if (!selectionBox && width < 4 && height < 4) {
+      return;
+    }
+
+    if (!selectionBox) {
+      selectionBox = document.createElement('div');
+      selectionBox.className = 'selection-box';
+      gameBoard.appendChild(selectionBox);
+    }
+
+    selectionBox.style.left = `${left - rect.left}px`;
+    selectionBox.style.top = `${top - rect.top}px`;
+    selectionBox.style.width = `${width}px`;
+    selectionBox.style.height = `${height}px`;
+  }
+
+  function finish() {
+    document.removeEventListener('mousemove', update);
+    document.removeEventListener('mouseup', finish);
+
+    if (!selectionBox) {
+      return;
+    }
+
+    // Select every piece the rectangle touches
+    const box = selectionBox.getBoundingClientRect();
+    const touched = Object.keys(pieces).filter(pieceId => {
+      const r = pieces[pieceId].element.getBoundingClientRect();
+      return r.left < box.right && r.right > box.left && r.top < box.bottom && r.bottom > box.top;
+    });
+
+    selectionBox.remove();
+    selectionBox = null;
+    selectionMoved = true;
+
+    selectPieces(additive ? [...selectedPieces, ...touched.filter(id => !selectedPieces.has(id))] : touched);
+  }
+
+  document.addEventListener('mousemove', update);
+  document.addEventListener('mouseup', finish);
+}
+
+// Record a piece's parent (null when it is not attached)
+function setPieceParent(pieceId, parentId) {
+  const piece = pieces[pieceId];
+
+  if (piece) {
+    piece.parentId = parentId || null;
+    piece.element.classList.toggle('attached', !!piece.parentId);
+  }
+}
+
+// Mark pieces that not everyone can see
+function setPieceVisibility(pieceId, visibility) {
+  const piece = pieces[pieceId];
+
+  if (piece) {
+    piece.visibility = visibility || 'everyone';
+    piece.element.classList.toggle('restricted', piece.visibility !== 'everyone');
+  }
+}
+
+// Collect the pieces attached to a set of pieces, at every depth
+function descendantsOf(pieceIds) {
+  const found = [];
+  const seen = new Set(pieceIds);
+  const pending = [...pieceIds];
+
+  while (pending.length > 0) {
+    const parentId = pending.shift();
+
+    Object.keys(pieces).forEach(pieceId => {
+      if (pieces[pieceId].parentId === parentId && !seen.has(pieceId)) {
+        seen.add(pieceId);
+        found.push(pieceId);
+        pending.push(pieceId);
+      }
+    });
+  }
+
+  return found;
+}
+
+// Attach the other selected pieces to the piece picked last
+function attachSelectedPieces() {
+  const parentId = selectedPiece;
+  const childIds = [...selectedPieces].filter(pieceId => pieceId !== parentId);
+
+  if (!parentId || childIds.length === 0) {
+    showStatusMessage('Select the pieces to attach, then the parent last', 'warning', 3000);
+    return;
+  }
+
+  // Attaching needs the parent's token as well as the children's
+  runWithTokens([parentId, ...childIds], () => {
+    childIds.forEach(pieceId => socket.emit('attach-piece', { pieceId, parentId }));
+  });
+}
+
+// Detach the selected pieces from their parents
+function detachSelectedPieces() {
+  const attachedIds = [...selectedPieces].filter(pieceId => pieces[pieceId].parentId);
+
+  if (attachedIds.length === 0) {
+    showStatusMessage('None of the selected pieces is attached', 'warning', 2000);
+    return;
+  }
+
+  attachedIds.forEach(pieceId => {
+    runWithToken(pieceId, () => socket.emit('detach-piece', pieceId));
+  });
+}
+
+// Bring the selected piece to the front or send it to the back
+function restackSelectedPiece(event) {
+  if (!selectedPiece || !pieces[selectedPiece]) {
+    showStatusMessage('Select a piece first', 'warning', 2000);
+    return;
+  }
+
+  const pieceId = selectedPiece;
+  runWithToken(pieceId, () => socket.emit(event, pieceId));
+}
+
+// Apply rotation, scale and z-order to a piece (missing values are kept)
+function setPieceTransform(pieceId, { rotation, scale, zIndex }) {
+  const piece = pieces[pieceId];
+
+  if (!piece) {
+    return;
+  }
+
+  if (rotation !== undefined) piece.rotation = rotation;
+  if (scale !== undefined) piece.scale = scale;
+  if (zIndex !== undefined) piece.zIndex = zIndex;
+
+  piece.element.style.transform = `rotate(${piece.rotation}deg) scale(${piece.scale})`;
+  piece.element.style.zIndex = piece.zIndex;
+}
+
+// Add rotate and resize handles to a piece
+function makeElementTransformable(element) {
+  const pieceId = element.dataset.pieceId;
+
+  ['rotate', 'resize'].forEach(kind => {
+    const handle = document.createElement('div');
+    handle.className = `piece-handle piece-handle-${kind}`;
+    handle.addEventListener('mousedown', (e) => startTransform(e, kind));
+    element.appendChild(handle);
+  });
+
+  function startTransform(e, kind) {
+    e.preventDefault();
+    e.stopPropagation(); // Don't start dragging the piece
+
+    const piece = pieces[pieceId];
+
+    if (!piece || !socket.connected) {
+      return;
+    }
+
+    // Wait in line if another player holds the piece
+    if (piece.locked) {
+      socket.emit('join-token-queue', pieceId);
+      return;
+    }
+
+    socket.emit('request-token', pieceId);
+
+    const rect = element.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+    const startDistance = Math.hypot(e.clientX - centerX, e.clientY - centerY) || 1;
+    const initial = { rotation: piece.rotation, scale: piece.scale };
+
+    function update(moveEvent) {
+      if (kind === 'rotate') {
+        // The handle sits above the piece, so straight up is 0 degrees
+        let angle = Math.atan2(moveEvent.clientY - centerY, moveEvent.clientX - centerX) * 180 / Math.PI + 90;
+
+        // Hold shift to snap to 15 degree steps
+        if (moveEvent.shiftKey) {
+          angle = Math.round(angle / 15) * 15;
+        }
+
+        setPieceTransform(pieceId, { rotation: (angle + 360) % 360 });
+      } else {
+        const distance = Math.hypot(moveEvent.clientX - centerX, moveEvent.clientY - centerY);
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, initial.scale * distance / startDistance));
+
+        setPieceTransform(pieceId, { scale: Math.round(scale * 100) / 100 });
+      }
+    }
+
+    function finish() {
+      document.removeEventListener('mousemove', update);
+      document.removeEventListener('mouseup', stop);
+
+      if (piece.cancelDrag === cancel) {
+        delete piece.cancelDrag;
+      }
+    }
+
+    function stop() {
+      finish();
+
+      socket.emit('transform-piece', {
+        pieceId,
+        rotation: piece.rotation,
+        scale: piece.scale
+      });
+      socket.emit('release-token', pieceId);
+    }
+
+    // A token denial puts the piece back the way it was
+    function cancel() {
+      finish();
+      setPieceTransform(pieceId, initial);
+    }
+
+    piece.cancelDrag = cancel;
+    document.addEventListener('mousemove', update);
+    document.addEventListener('mouseup', stop);
+  }
+}
+
+// Apply the board's size, background image and grid
+function applyBoardSettings(settings) {
+  boardSettings = settings;
+  gameBoard.style.width = `${settings.width}px`;
+  gameBoard.style.height = `${settings.height}px`;
+  gameBoard.classList.toggle('hex-grid', !!hexOrientation(settings));
+
+  // Layers from top to bottom: grid lines, then the background image
+  const layers = [];
+  const grid = gridBackground(settings);
+
+  if (grid) {
+    layers.push({ image: grid.image, size: grid.size, repeat: 'repeat' });
+  }
+  if (settings.backgroundUrl) {
+    layers.push({ image: `url("${API_URL}${settings.backgroundUrl}")`, size: 'cover', repeat: 'no-repeat' });
+  }
+
+  gameBoard.style.backgroundImage = layers.map(layer => layer.image).join(', ');
+  gameBoard.style.backgroundSize = layers.map(layer => layer.size).join(', ');
+  gameBoard.style.backgroundRepeat = layers.map(layer => layer.repeat).join(', ');
+}
+
+// One repeating tile of the board grid as a CSS image, or null for no grid
+function gridBackground(settings) {
+  const size = settings.gridSize;
+  const orientation = hexOrientation(settings);
+  let width, height, path;
+
+  if (settings.gridType === 'square') {
+    width = size;
+    height = size;
+    path = `M ${size} 0 V ${size} H 0`;
+  } else if (orientation) {
+    // A pointy-top tile holds one whole hex in its middle, with hex (0, 0)
+    // centered on its corner, plus the edges between the corner hexes.
+    // Flat-top tiles are the same with x and y swapped.
+    const w = Math.sqrt(3) * size;
+    const points = [
+      [w / 2, size / 2], [w, size], [w, 2 * size], [w / 2, 2.5 * size], [0, 2 * size], [0, size]
+    ];
+    const stubs = [[[w / 2, 0], [w / 2, size / 2]], [[w / 2, 2.5 * size], [w / 2, 3 * size]]];
+    const place = ([a, b]) => (orientation === 'flat' ? `${b} ${a}` : `${a} ${b}`);
+
+    width = orientation === 'flat' ? 3 * size : w;
+    height = orientation === 'flat' ? w : 3 * size;
+    path = `M ${points.map(place).join(' L ')} Z ` +
+      stubs.map(([from, to]) => `M ${place(from)} L ${place(to)}`).join(' ');
+  } else {
+    return null;
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<path d="${path}" fill="none" stroke="rgba(0, 0, 0, 0.15)"/></svg>`;
+
+  return {
+    image: `url("data:image/svg+xml,${encodeURIComponent(svg)}")`,
+    size: `${width}px ${height}px`
+  };
+}
+
+// 'pointy' or 'flat' for hex boards, null otherwise
+function hexOrientation(settings) {
+  return { 'hex-pointy': 'pointy', 'hex-flat': 'flat' }[settings.gridType] || null;
+}
+
+// Center of an axial hex (same geometry as the server)
+function hexToPixel(q, r, size, orientation) {
+  return orientation === 'flat'
+    ? { x: size * 1.5 * q, y: size * Math.sqrt(3) * (r + q / 2) }
+    : { x: size * Math.sqrt(3) * (q + r / 2), y: size * 1.5 * r };
+}
+
+// Axial hex containing a point
+function pixelToHex(x, y, size, orientation) {
+  const q = orientation === 'flat' ? (2 / 3 * x) / size : (Math.sqrt(3) / 3 * x - y / 3) / size;
+  const r = orientation === 'flat' ? (-x / 3 + Math.sqrt(3) / 3 * y) / size : (2 / 3 * y) / size;
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+
+  if (Math.abs(rq - q) > Math.abs(rr - r) && Math.abs(rq - q) > Math.abs(rs - s)) {
+    rq = -rr - rs;
+  } else if (Math.abs(rr - r) > Math.abs(rs - s)) {
+    rr = -rq - rs;
+  }
+
+  return { q: rq, r: rr };
+}
+
+// Snap a position to the board grid the way the server does
+function snapToGrid(x, y) {
+  if (!boardSettings || !boardSettings.snap || boardSettings.gridType === 'none') {
+    return { x, y };
+  }
+
+  const size = boardSettings.gridSize;
+  const orientation = hexOrientation(boardSettings);
+
+  if (orientation) {
+    const hex = pixelToHex(x, y, size, orientation);
+    const center = hexToPixel(hex.q, hex.r, size, orientation);
+    return {
+      x: Math.round(center.x * 100) / 100,
+      y: Math.round(center.y * 100) / 100
+    };
+  }
+
+  return {
+    x: Math.round(x / size) * size,
+    y: Math.round(y / size) * size
+  };
+}
+
+// Move pieces to the positions the server reports
+function placePieces(positions) {
+  (positions || []).forEach(position => {
+    if (pieces[position.pieceId]) {
+      movePiece(pieces[position.pieceId].element, position.x, position.y);
+    }
+  });
+}
+
+// Draw the board's zones as outlines beneath the pieces
+function renderZones() {
+  const existing = gameBoard.querySelector('.zone-layer');
+  if (existing) {
+    existing.remove();
+  }
+
+  if (zones.length === 0) {
+    return;
+  }
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const layer = document.createElementNS(svgNs, 'svg');
+  layer.classList.add('zone-layer');
+
+  zones.forEach(zone => {
+    const shape = document.createElementNS(svgNs, zone.shape === 'rect' ? 'rect' : 'polygon');
+    const label = document.createElementNS(svgNs, 'text');
+    let labelX, labelY;
+
+    if (zone.shape === 'rect') {
+      shape.setAttribute('x', zone.x);
+      shape.setAttribute('y', zone.y);
+      shape.setAttribute('width', zone.width);
+      shape.setAttribute('height', zone.height);
+      labelX = zone.x;
+      labelY = zone.y;
+    } else {
+      shape.setAttribute('points', zone.points.map(point => `${point.x},${point.y}`).join(' '));
+      labelX = Math.min(...zone.points.map(point => point.x));
+      labelY = Math.min(...zone.points.map(point => point.y));
+    }
+
+    shape.classList.add('zone-shape');
+    label.classList.add('zone-label');
+    label.setAttribute('x', labelX + 4);
+    label.setAttribute('y', labelY + 14);
+    label.textContent = zone.rules.maxPieces ? `${zone.name} (max ${zone.rules.maxPieces})` : zone.name;
+
+    layer.appendChild(shape);
+    layer.appendChild(label);
+  });
+
+  gameBoard.prepend(layer);
+}
+
+// Move a piece to a specific position
+function movePiece(element, x, y) {
+  // Set the position of the piece
+  element.style.left = `${x}px`;
+  element.style.top = `${y}px`;
 
   // Also update our local piece state if this piece is in our pieces object
   const pieceId = element.dataset.pieceId;
@@ -736,9 +2060,243 @@ function movePiece(element, x, y) {
   }
 }
 
-// Update the player count display
-function updatePlayerCount() {
-  playerCountDisplay.textContent = playerCount.toString();
+// Update the roster display
+function updateRoster() {
+  playerRoster.innerHTML = '';
+
+  Object.values(players).forEach(player => {
+    const entry = document.createElement('span');
+    entry.className = 'roster-player';
+    entry.classList.toggle('current-turn', Boolean(turns && turns.current === player.playerId));
+    entry.title = `Last seen ${new Date(player.lastSeen).toLocaleTimeString()}`;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'roster-color';
+    swatch.style.backgroundColor = player.color;
+
+    const name = document.createElement('span');
+    name.textContent = player.playerId === clientId ? `${player.name} (you)` : player.name;
+
+    if (handCounts[player.playerId]) {
+      name.textContent += ` [${handCounts[player.playerId]} cards]`;
+    }
+
+    entry.appendChild(swatch);
+    entry.appendChild(name);
+    playerRoster.appendChild(entry);
+  });
+
+  // The turn status and clocks name players
+  renderTurns();
+
+  if (clockView) {
+    renderClocks();
+  }
+}
+
+// Format a time left as m:ss, or h:mm:ss from an hour up
+function formatClockTime(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Time left on a clock or timer, counting down from its deadline
+function clockTimeLeft(entry) {
+  if (!entry.deadline) {
+    return entry.remainingMs;
+  }
+
+  const now = Date.now() + clockOffset;
+  return Math.max(0, Math.min(entry.remainingMs, new Date(entry.deadline) - now));
+}
+
+// Draw the player clocks and timers
+function renderClocks() {
+  const { clocks, timers } = clockView;
+  clockList.innerHTML = '';
+  timerList.innerHTML = '';
+  clockDisplays = [];
+
+  clocks.order.forEach(playerId => {
+    const player = players[playerId];
+    const entry = document.createElement('div');
+    entry.className = 'game-clock';
+    entry.classList.toggle('active', clocks.running && clocks.active === playerId);
+    entry.classList.toggle('flagged', clocks.flagged === playerId);
+
+    const name = document.createElement('span');
+    name.textContent = playerId === clientId ? 'You' : (player ? player.name : 'Player');
+
+    const time = document.createElement('span');
+    clockDisplays.push({ element: time, entry: clocks.players[playerId] });
+
+    entry.appendChild(name);
+    entry.appendChild(time);
+    clockList.appendChild(entry);
+  });
+
+  timers.forEach(timer => {
+    const entry = document.createElement('div');
+    entry.className = 'game-clock align-items-center';
+    entry.classList.toggle('flagged', timer.expired);
+
+    // Only the player who started a timer may change it
+    const own = timer.createdBy === clientId;
+    const action = timer.deadline ? 'pause-timer' : 'resume-timer';
+    const toggle = timer.expired || !own
+      ? ''
+      : `<button class="btn btn-sm btn-link p-0 ms-2" data-timer-action="${action}" data-timer-id="${timer.id}">${timer.deadline ? 'pause' : 'resume'}</button>`;
+    const cancel = own
+      ? `<button class="btn btn-sm btn-link p-0 ms-2" data-timer-action="cancel-timer" data-timer-id="${timer.id}">&times;</button>`
+      : '';
+
+    entry.innerHTML = `
+      <span>${escapeHtml(timer.name)}</span>
+      <span><span class="timer-time"></span>${toggle}${cancel}</span>
+    `;
+    clockDisplays.push({ element: entry.querySelector('.timer-time'), entry: timer });
+    timerList.appendChild(entry);
+  });
+
+  tickClocks();
+}
+
+// Update the drawn times without redrawing the clocks, so their buttons
+// stay clickable
+function tickClocks() {
+  clockDisplays.forEach(({ element, entry }) => {
+    element.textContent = entry.expired ? 'done' : formatClockTime(clockTimeLeft(entry));
+  });
+}
+
+// Show whose turn it is and the round
+function renderTurns() {
+  const status = document.getElementById('turn-status');
+
+  if (!turns || !turns.current) {
+    status.textContent = 'No turn order';
+    return;
+  }
+
+  const player = players[turns.current];
+  const name = turns.current === clientId ? 'Your' : `${player ? player.name : 'Player ' + turns.current}'s`;
+  status.textContent = `Round ${turns.round}: ${name} turn${turns.strict ? ' (strict)' : ''}`;
+  document.getElementById('turn-strict').checked = turns.strict;
+}
+
+// Color and label a remote cursor after its player
+function styleRemoteCursor(element, player) {
+  const color = player ? player.color : '#6c757d';
+  const label = element.querySelector('.remote-cursor-label');
+
+  element.style.color = color;
+  label.style.backgroundColor = color;
+  label.textContent = player ? player.name : 'Player';
+}
+
+// Move a remote player's cursor, creating it on first sight
+function showRemoteCursor(playerId, x, y) {
+  let cursor = cursors[playerId];
+
+  if (!cursor) {
+    const element = document.createElement('div');
+    element.className = 'remote-cursor';
+
+    const label = document.createElement('span');
+    label.className = 'remote-cursor-label';
+    element.appendChild(label);
+
+    cursor = cursors[playerId] = { element, idleTimer: null };
+    styleRemoteCursor(element, players[playerId]);
+  }
+
+  // The board is rebuilt on every game-state, so re-attach if needed
+  if (!cursor.element.isConnected) {
+    gameBoard.appendChild(cursor.element);
+  }
+
+  cursor.element.style.left = `${x}px`;
+  cursor.element.style.top = `${y}px`;
+  cursor.element.classList.remove('idle');
+
+  // Fade out once the player stops moving
+  clearTimeout(cursor.idleTimer);
+  cursor.idleTimer = setTimeout(() => {
+    cursor.element.classList.add('idle');
+  }, CURSOR_IDLE_TIMEOUT);
+}
+
+// Remove a remote player's cursor
+function removeRemoteCursor(playerId) {
+  const cursor = cursors[playerId];
+
+  if (cursor) {
+    clearTimeout(cursor.idleTimer);
+    cursor.element.remove();
+    delete cursors[playerId];
+  }
+}
+
+// Escape text for use in HTML markup
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Append a chat message and keep the newest in view
+function renderChatMessage(message) {
+  const item = document.createElement('div');
+  item.className = 'chat-message';
+
+  const sentAt = new Date(message.sentAt).toLocaleTimeString();
+  const color = /^#[0-9a-f]{6}$/i.test(message.color) ? message.color : '#6c757d';
+
+  item.innerHTML = `
+    <small class="text-muted">${escapeHtml(sentAt)}</small>
+    <strong style="color: ${color}">${escapeHtml(message.name)}:</strong>
+    <span>${escapeHtml(message.text)}</span>
+  `;
+
+  chatMessages.appendChild(item);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Append a dice roll to the chat, striking out dice that were not kept
+function renderDiceRoll(roll) {
+  const item = document.createElement('div');
+  item.className = 'dice-roll';
+
+  const player = players[roll.playerId];
+  const color = player ? player.color : '#6c757d';
+
+  const breakdown = roll.terms.map((term, index) => {
+    const sign = term.sign < 0 ? '- ' : index > 0 ? '+ ' : '';
+
+    if (!term.rolls) {
+      return `${sign}${term.value}`;
+    }
+
+    const dice = term.rolls
+      .map(die => (die.kept ? `${die.value}` : `<s>${die.value}</s>`))
+      .join(', ');
+    return `${sign}[${dice}]`;
+  }).join(' ');
+
+  item.innerHTML = `
+    <strong style="color: ${color}">${escapeHtml(roll.name)}</strong>
+    rolled ${escapeHtml(roll.notation)}: ${breakdown} = <strong>${roll.total}</strong>
+  `;
+
+  chatMessages.appendChild(item);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
 // Show a status message
@@ -757,7 +2315,13 @@ function showStatusMessage(message, type = 'info', timeout = 0) {
 // Clear asset and piece selection
 function clearSelection() {
   selectedAsset = null;
-  selectedPiece = null;
+  selectPiece(null);
+  selectedCard = null;
+  selectedFaces = [];
+
+  document.querySelectorAll('.hand-card.active').forEach(item => {
+    item.classList.remove('active');
+  });
 
   document.querySelectorAll('.asset-item.active').forEach(item => {
     item.classList.remove('active');
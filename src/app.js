@@ -21,7 +21,7 @@ if (!fs.existsSync(config.uploads.directory)) {
 // Middleware
 app.use(cors({
   origin: config.corsOrigin,
-  methods: ['GET', 'POST', 'PUT', 'DELETE']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
 }));
 
 app.use(express.json());
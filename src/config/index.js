@@ -4,11 +4,24 @@
  * Centralizes all configuration values and environment variables
  */
 const path = require('path');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 
 // Load environment variables from project root
 dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
 
+/**
+ * Read a whole number from the environment, so that 0 can be configured
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when unset, not a number or below min
+ * @param {number} [min=0] - Smallest allowed value
+ * @returns {number} The configured value or the fallback
+ */
+const envInt = (name, fallback, min = 0) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? fallback : value;
+};
+
 module.exports = {
   // Server config
   port: process.env.PORT || 3000,
@@ -17,6 +30,50 @@ module.exports = {
   // Redis config
   redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
   
+  // Autosave config (snapshots of changed boards)
+  autosave: {
+    intervalMs: parseInt(process.env.AUTOSAVE_INTERVAL_MS) || 5 * 60 * 1000 // 5 minutes
+  },
+  
+  // Snapshot retention (applied by the background compactor)
+  retention: {
+    keepLastAutosaves: envInt('RETENTION_KEEP_LAST', 10),
+    hourlyAutosavesForHours: envInt('RETENTION_HOURLY_HOURS', 24),
+    dailyAutosavesForDays: envInt('RETENTION_DAILY_DAYS', 7),
+    keepManualSaves: process.env.RETENTION_KEEP_MANUAL !== 'false',
+    compactIntervalMs: envInt('COMPACT_INTERVAL_MS', 60 * 60 * 1000, 1) // 1 hour
+  },
+  
+  // Player sessions
+  players: {
+    // Signs player session tokens. Without a fixed secret, sessions do not
+    // survive a server restart.
+    sessionSecret: process.env.PLAYER_SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    maxNameLength: 32
+  },
+  
+  // In-game chat
+  chat: {
+    historyLength: parseInt(process.env.CHAT_HISTORY_LENGTH) || 100, // Messages kept per game
+    maxMessageLength: parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH) || 500,
+    clearOnGameDelete: process.env.CHAT_CLEAR_ON_DELETE !== 'false'
+  },
+  
+  // Board settings for games that have not changed them
+  board: {
+    width: parseInt(process.env.BOARD_WIDTH) || 1200,
+    height: parseInt(process.env.BOARD_HEIGHT) || 600,
+    gridSize: parseInt(process.env.BOARD_GRID_SIZE) || 50
+  },
+  
+  // Dice rolls
+  dice: {
+    logLength: parseInt(process.env.DICE_LOG_LENGTH) || 200 // Rolls kept per game
+  },
+  
+  // Admin endpoints (refused when no token is set)
+  adminToken: process.env.ADMIN_TOKEN || null,
+  
   // CORS config
   corsOrigin: process.env.CORS_ORIGIN || '*',
   
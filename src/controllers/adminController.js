@@ -0,0 +1,50 @@
+/**
+ * Admin Controller
+ * 
+ * Handles HTTP requests for maintenance tasks
+ */
+const config = require('../config');
+const gameService = require('../services/game');
+
+/**
+ * Get the report of the last snapshot compaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCompactionReport = async (req, res) => {
+  try {
+    const report = await gameService.getLastCompaction();
+
+    res.json({
+      success: true,
+      retention: config.retention,
+      report
+    });
+  } catch (err) {
+    console.error('Error getting compaction report:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Run snapshot compaction now and report what was reclaimed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.runCompaction = async (req, res) => {
+  try {
+    const report = await gameService.compactGames(config.retention);
+
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to compact states' });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (err) {
+    console.error('Error running compaction:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -4,9 +4,39 @@
  * Handles HTTP requests related to game state management
  */
 const gameService = require('../services/game');
-const {getGameStates} = require("../services/game/managers/stateManager");
+const tokenService = require('../services/tokenService');
+const config = require('../config');
 const { DEFAULT_GAME_ID } = gameService;
 
+/**
+ * Resolve the game a request targets
+ * 
+ * Game-scoped routes carry the ID in the URL; the legacy /api/game routes
+ * fall back to the default game.
+ * @param {Object} req - Express request object
+ * @returns {string} Game ID
+ */
+const getGameId = (req) => req.params.gameId || DEFAULT_GAME_ID;
+
+/**
+ * Share a game's current zones with its players after a change
+ * @param {Object} req - Express request object
+ * @param {string} gameId - The game ID
+ * @param {string} [clientId] - Player who made the change
+ */
+const broadcastZones = async (req, gameId, clientId) => {
+  if (!req.io) {
+    console.error('Socket.io instance not available in request');
+    return;
+  }
+
+  req.io.to(gameId).emit('zones-updated', {
+    gameId,
+    zones: await gameService.getZones(gameId),
+    updatedBy: clientId || null
+  });
+};
+
 /**
  * Get the current game state
  * @param {Object} req - Express request object
@@ -14,10 +44,11 @@ const { DEFAULT_GAME_ID } = gameService;
  */
 exports.getGameState = async (req, res) => {
   try {
-    const gameState = await gameService.getGameState();
+    const gameState = await gameService.getGameState(getGameId(req));
     res.json({
       success: true,
-      game: gameState
+      // No player's hand is revealed over HTTP
+      game: gameService.getPlayerView(gameState, null)
     });
   } catch (err) {
     console.error('Error getting game state:', err);
@@ -33,25 +64,17 @@ exports.getGameState = async (req, res) => {
 exports.saveGameState = async (req, res) => {
   try {
     const { name, clientId } = req.body;
+    const gameId = getGameId(req);
 
-    // Get current game state
-    const gameState = await gameService.getGameState();
-
-    // Add metadata for the save
-    const saveData = {
-      ...gameState,
-      savedAt: new Date().toISOString()
-    };
-
-    // Save the game state
-    const result = await gameService.saveGameState(saveData, name,DEFAULT_GAME_ID,true);
+    // Snapshot the live board
+    const result = await gameService.saveSnapshot(gameId, name, true);
 
     if (result.success) {
       // Debug info
       console.log('Socket.io available:', req.io ? 'Yes' : 'No');
       
       if (req.io) {
-        req.io.emit('game-saved', {
+        req.io.to(gameId).emit('game-saved', {
           savedAt: result.savedAt,
           name: result.name,
           stateId: result.stateId,
@@ -89,7 +112,7 @@ exports.getSavedStates = async (req, res) => {
     const limit = req.query.limit ? parseInt(req.query.limit) : 20;
     const manualOnly = req.query.manualOnly !== 'false'; // Default to true
 
-    const savedStates = await getGameStates(DEFAULT_GAME_ID, limit, manualOnly);
+    const savedStates = await gameService.getGameStates(getGameId(req), limit, manualOnly);
 
     res.json({
       success: true,
@@ -113,30 +136,41 @@ exports.getSavedStates = async (req, res) => {
 exports.loadSavedState = async (req, res) => {
   try {
     const { stateId, clientId } = req.body;
+    const gameId = getGameId(req);
 
     if (!stateId) {
       return res.status(400).json({ error: 'State ID is required' });
     }
 
     // Switch to this state
-    const success = await gameService.switchToState(stateId);
+    const success = await gameService.switchToState(stateId, gameId);
 
     if (success) {
       // Get the state after switching
-      const gameState = await gameService.getGameState();
+      const gameState = await gameService.getGameState(gameId);
 
       // Debug info
       console.log('Socket.io available:', req.io ? 'Yes' : 'No');
       
       if (req.io) {
-        // Broadcast state change to all clients
-        req.io.emit('game-state-loaded', {
+        // Broadcast state change to all clients in the game
+        req.io.to(gameId).emit('game-state-loaded', {
           stateId,
           loadedBy: clientId || null
         });
 
-        // Also send the new game state
-        req.io.emit('game-state', gameState);
+        // Also send the new game state, with each player's own hand
+        const sockets = await req.io.in(gameId).fetchSockets();
+        sockets.forEach(socket => {
+          socket.emit('game-state', gameService.getPlayerView(gameState, socket.data.playerId));
+        });
+
+        // Loading pauses every clock and timer
+        req.io.to(gameId).emit('clocks-updated', {
+          gameId,
+          ...await gameService.getClockView(gameId),
+          updatedBy: clientId || null
+        });
       } else {
         console.error('Socket.io instance not available in request');
       }
@@ -199,4 +233,334 @@ exports.createGame = async (req, res) => {
     console.error('Error creating game:', err);
     res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Delete a game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteGame = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { clientId } = req.body;
+
+    // ?clearChat=true|false overrides the configured default
+    const clearChat = req.query.clearChat === undefined
+      ? config.chat.clearOnGameDelete
+      : req.query.clearChat === 'true';
+
+    // Collect the pieces first so their tokens can be cleared afterwards
+    const pieces = await gameService.getAllPieces(gameId);
+
+    const success = await gameService.deleteGame(gameId, { clearChat });
+
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to delete game' });
+    }
+
+    await tokenService.clearTokens(pieces.map(piece => piece.id), gameId);
+
+    if (req.io) {
+      // Tell connected players the game has closed, then detach them from it
+      req.io.to(gameId).emit('game-deleted', {
+        gameId,
+        deletedBy: clientId || null
+      });
+
+      const sockets = await req.io.in(gameId).fetchSockets();
+      sockets.forEach(socket => {
+        socket.data.gameId = null;
+        socket.leave(gameId);
+      });
+    } else {
+      console.error('Socket.io instance not available in request');
+    }
+
+    res.json({
+      success: true,
+      message: 'Game deleted successfully',
+      gameId
+    });
+  } catch (err) {
+    console.error('Error deleting game:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Rename a game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateGame = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { clientId } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name) {
+      return res.status(400).json({ error: 'Game name is required' });
+    }
+
+    const success = await gameService.updateGame(gameId, { name });
+
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to update game' });
+    }
+
+    const game = await gameService.getGame(gameId);
+
+    if (req.io) {
+      req.io.to(gameId).emit('game-renamed', {
+        gameId,
+        name: game.name,
+        renamedBy: clientId || null
+      });
+    } else {
+      console.error('Socket.io instance not available in request');
+    }
+
+    res.json({
+      success: true,
+      game
+    });
+  } catch (err) {
+    console.error('Error updating game:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * List the players connected to a game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPlayers = async (req, res) => {
+  try {
+    const players = await gameService.getPlayers(req.params.gameId);
+    res.json({
+      success: true,
+      players
+    });
+  } catch (err) {
+    console.error('Error getting players:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Get a game's dice roll log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRolls = async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'Limit must be a whole number of at least 1' });
+    }
+
+    // The log never holds more than the configured number of rolls
+    const rolls = await gameService.getRolls(req.params.gameId, Math.min(limit, config.dice.logLength));
+
+    res.json({
+      success: true,
+      rolls
+    });
+  } catch (err) {
+    console.error('Error getting rolls:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Get a game's board settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await gameService.getSettings(req.params.gameId);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (err) {
+    console.error('Error getting board settings:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * List the pieces in one hex of a hex board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPiecesInHex = async (req, res) => {
+  try {
+    const q = Number(req.params.q);
+    const r = Number(req.params.r);
+
+    if (!Number.isInteger(q) || !Number.isInteger(r)) {
+      return res.status(400).json({ error: 'Hex coordinates must be integers' });
+    }
+
+    const result = await gameService.getPiecesInHex(q, r, req.params.gameId);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      q,
+      r,
+      // HTTP clients are no player, so they only see pieces shown to everyone
+      pieces: result.pieces.filter(piece => gameService.canSeePiece(piece, null))
+    });
+  } catch (err) {
+    console.error('Error getting pieces in hex:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Change a game's board settings and share them with its players
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateSettings = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { clientId, ...updates } = req.body;
+
+    const result = await gameService.updateSettings(gameId, updates);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    if (req.io) {
+      req.io.to(gameId).emit('board-settings', {
+        gameId,
+        settings: result.settings,
+        updatedBy: clientId || null
+      });
+    } else {
+      console.error('Socket.io instance not available in request');
+    }
+
+    res.json({
+      success: true,
+      settings: result.settings
+    });
+  } catch (err) {
+    console.error('Error updating board settings:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * List a game's board zones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getZones = async (req, res) => {
+  try {
+    const zones = await gameService.getZones(req.params.gameId);
+
+    res.json({
+      success: true,
+      zones
+    });
+  } catch (err) {
+    console.error('Error getting zones:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Add a zone to a game's board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createZone = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { clientId, ...fields } = req.body;
+
+    const result = await gameService.createZone(gameId, fields);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await broadcastZones(req, gameId, clientId);
+
+    res.json({
+      success: true,
+      zone: result.zone
+    });
+  } catch (err) {
+    console.error('Error creating zone:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Change a zone's shape, name or rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateZone = async (req, res) => {
+  try {
+    const { gameId, zoneId } = req.params;
+    const { clientId, ...updates } = req.body;
+
+    const result = await gameService.updateZone(gameId, zoneId, updates);
+
+    if (!result.success) {
+      return res.status(result.error === 'Zone not found' ? 404 : 400).json({ error: result.error });
+    }
+
+    await broadcastZones(req, gameId, clientId);
+
+    res.json({
+      success: true,
+      zone: result.zone
+    });
+  } catch (err) {
+    console.error('Error updating zone:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * Remove a zone from a game's board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteZone = async (req, res) => {
+  try {
+    const { gameId, zoneId } = req.params;
+
+    const result = await gameService.removeZone(gameId, zoneId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Zone not found' ? 404 : 400).json({ error: result.error });
+    }
+
+    await broadcastZones(req, gameId, req.body && req.body.clientId);
+
+    res.json({
+      success: true,
+      message: 'Zone removed successfully'
+    });
+  } catch (err) {
+    console.error('Error removing zone:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Admin authorization middleware
+ * 
+ * Requests must present ADMIN_TOKEN in the X-Admin-Token header; without
+ * a configured token the admin endpoints are refused
+ */
+const config = require('../config');
+
+const requireAdmin = (req, res, next) => {
+  if (!config.adminToken) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled; set ADMIN_TOKEN to enable them' });
+  }
+
+  if (req.get('X-Admin-Token') !== config.adminToken) {
+    return res.status(403).json({ error: 'Admin token required' });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,26 @@
+/**
+ * Game lookup middleware
+ * 
+ * Resolves the game named by the `:gameId` route parameter and makes it
+ * available as `req.game`, responding with 404 when it does not exist
+ */
+const gameService = require('../services/game');
+
+const requireGame = async (req, res, next) => {
+  try {
+    const { gameId } = req.params;
+    const game = await gameService.getGame(gameId);
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    req.game = game;
+    next();
+  } catch (err) {
+    console.error('Error looking up game:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = requireGame;
@@ -0,0 +1,17 @@
+/**
+ * Admin routes
+ */
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const requireAdmin = require('../middleware/requireAdmin');
+
+router.use(requireAdmin);
+
+// Get the report of the last snapshot compaction
+router.get('/compaction', adminController.getCompactionReport);
+
+// Run snapshot compaction now
+router.post('/compaction', adminController.runCompaction);
+
+module.exports = router;
@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/gameController');
+const requireGame = require('../middleware/requireGame');
 
 // Get current game state
 router.get('/', gameController.getGameState);
@@ -23,4 +24,29 @@ router.get('/list', gameController.getAllGames);
 // Create a new game
 router.post('/create', gameController.createGame);
 
+// Rename a game
+router.patch('/:gameId', requireGame, gameController.updateGame);
+
+// List connected players
+router.get('/:gameId/players', requireGame, gameController.getPlayers);
+
+// Dice roll log
+router.get('/:gameId/rolls', requireGame, gameController.getRolls);
+
+// Board settings
+router.get('/:gameId/settings', requireGame, gameController.getSettings);
+router.patch('/:gameId/settings', requireGame, gameController.updateSettings);
+
+// Pieces in one hex of a hex board
+router.get('/:gameId/hex/:q/:r', requireGame, gameController.getPiecesInHex);
+
+// Board zones
+router.get('/:gameId/zones', requireGame, gameController.getZones);
+router.post('/:gameId/zones', requireGame, gameController.createZone);
+router.patch('/:gameId/zones/:zoneId', requireGame, gameController.updateZone);
+router.delete('/:gameId/zones/:zoneId', requireGame, gameController.deleteZone);
+
+// Delete a game
+router.delete('/:gameId', requireGame, gameController.deleteGame);
+
 module.exports = router;
\ No newline at end of file
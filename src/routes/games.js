@@ -0,0 +1,24 @@
+/**
+ * Game-scoped routes (mounted under /games/:gameId)
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const gameController = require('../controllers/gameController');
+const requireGame = require('../middleware/requireGame');
+
+// All routes below operate on an existing game
+router.use(requireGame);
+
+// Get current game state
+router.get('/', gameController.getGameState);
+
+// Save game state
+router.post('/save', gameController.saveGameState);
+
+// Get list of saved states
+router.get('/states', gameController.getSavedStates);
+
+// Load a specific state
+router.post('/load-state', gameController.loadSavedState);
+
+module.exports = router;
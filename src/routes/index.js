@@ -6,7 +6,9 @@ const router = express.Router();
 
 // Import route modules
 const gameRoutes = require('./game');
+const gamesRoutes = require('./games');
 const assetRoutes = require('./assets');
+const adminRoutes = require('./admin');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -15,6 +17,8 @@ router.get('/health', (req, res) => {
 
 // Mount routes
 router.use('/game', gameRoutes);
+router.use('/games/:gameId', gamesRoutes);
 router.use('/assets', assetRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -8,6 +8,7 @@ const socketIo = require('socket.io');
 const config = require('./config');
 const { app, initializeApp } = require('./app');
 const setupSocketHandlers = require('./socket/handlers');
+const gameService = require('./services/game');
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -26,9 +27,26 @@ initializeApp(io);
 // Set up socket event handlers
 setupSocketHandlers(io);
 
-// Start server
-server.listen(config.port, () => {
-  console.log(`Server running on port ${config.port}`);
-  console.log(`Environment: ${config.nodeEnv}`);
-  console.log(`CORS configured for: ${config.corsOrigin}`);
+// Snapshot changed boards on a schedule
+setInterval(async () => {
+  await gameService.autosaveGames();
+}, config.autosave.intervalMs);
+
+// Prune old snapshots according to the retention policy
+setInterval(async () => {
+  await gameService.compactGames(config.retention);
+}, config.retention.compactIntervalMs);
+
+// Seed the live boards of games saved before live state existed, then
+// start server
+gameService.migrateLegacyGames().then((migrated) => {
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} games to live state`);
+  }
+
+  server.listen(config.port, () => {
+    console.log(`Server running on port ${config.port}`);
+    console.log(`Environment: ${config.nodeEnv}`);
+    console.log(`CORS configured for: ${config.corsOrigin}`);
+  });
 });
\ No newline at end of file
@@ -7,7 +7,16 @@ const GAME_PREFIX = 'game:';
 const GAME_STATES_SUFFIX = ':states';
 const GAME_META_SUFFIX = ':meta';
 const GAME_CURRENT_SUFFIX = ':current';
+const GAME_PIECES_SUFFIX = ':pieces';
+const GAME_PLAYERS_SUFFIX = ':players';
+const GAME_CHAT_SUFFIX = ':chat';
+const GAME_ROLLS_SUFFIX = ':rolls';
+const GAME_SETTINGS_SUFFIX = ':settings';
+const GAME_ZONES_SUFFIX = ':zones';
+const GAME_TURNS_SUFFIX = ':turns';
+const GAME_CLOCKS_SUFFIX = ':clocks';
 const ASSETS_KEY = 'game:assets';
+const COMPACTION_KEY = 'game:compaction';
 
 // Default game ID (for backward compatibility)
 const DEFAULT_GAME_ID = 'default';
@@ -19,7 +28,16 @@ const keys = {
   statesKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_STATES_SUFFIX}`,
   metaKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_META_SUFFIX}`,
   currentKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_CURRENT_SUFFIX}`,
-  assets: () => ASSETS_KEY
+  piecesKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_PIECES_SUFFIX}`,
+  playersKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_PLAYERS_SUFFIX}`,
+  chatKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_CHAT_SUFFIX}`,
+  rollsKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_ROLLS_SUFFIX}`,
+  settingsKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_SETTINGS_SUFFIX}`,
+  zonesKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_ZONES_SUFFIX}`,
+  turnsKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_TURNS_SUFFIX}`,
+  clocksKey: (gameId) => `${GAME_PREFIX}${gameId}${GAME_CLOCKS_SUFFIX}`,
+  assets: () => ASSETS_KEY,
+  compaction: () => COMPACTION_KEY
 };
 
 module.exports = {
@@ -27,7 +45,16 @@ module.exports = {
   GAME_STATES_SUFFIX,
   GAME_META_SUFFIX,
   GAME_CURRENT_SUFFIX,
+  GAME_PIECES_SUFFIX,
+  GAME_PLAYERS_SUFFIX,
+  GAME_CHAT_SUFFIX,
+  GAME_ROLLS_SUFFIX,
+  GAME_SETTINGS_SUFFIX,
+  GAME_ZONES_SUFFIX,
+  GAME_TURNS_SUFFIX,
+  GAME_CLOCKS_SUFFIX,
   ASSETS_KEY,
+  COMPACTION_KEY,
   DEFAULT_GAME_ID,
   keys
 };
\ No newline at end of file
@@ -5,13 +5,29 @@
  * - Game state management (save, load, switch between states)
  * - Game CRUD operations (create, list, retrieve)
  * - Piece management (add, update, remove pieces)
+ * - Card decks and private hands
  * - Asset management (register, retrieve assets)
+ * - Player presence (who is connected to each game)
+ * - Chat history
+ * - Dice roll log
+ * - Board settings (size, background, grid and snapping)
+ * - Board zones and their rules
+ * - Turn order
+ * - Player clocks and named timers
  */
 
 const stateManager = require('./managers/stateManager');
 const pieceManager = require('./managers/pieceManager');
+const deckManager = require('./managers/deckManager');
 const assetManager = require('./managers/assetManager');
 const gameManager = require('./managers/gameManager');
+const presenceManager = require('./managers/presenceManager');
+const chatManager = require('./managers/chatManager');
+const rollManager = require('./managers/rollManager');
+const settingsManager = require('./managers/settingsManager');
+const zoneManager = require('./managers/zoneManager');
+const turnManager = require('./managers/turnManager');
+const clockManager = require('./managers/clockManager');
 const { DEFAULT_GAME_ID } = require('./constants/redisKeys');
 
 /**
@@ -24,6 +40,7 @@ const gameService = {
     // State Management
     getGameState: stateManager.getGameState.bind(stateManager),
     saveGameState: stateManager.saveGameState.bind(stateManager),
+    saveSnapshot: stateManager.saveSnapshot.bind(stateManager),
     getGameStates: stateManager.getGameStates.bind(stateManager),
     getCurrentState: stateManager.getCurrentState.bind(stateManager),
     switchToState: stateManager.switchToState.bind(stateManager),
@@ -32,13 +49,40 @@ const gameService = {
     addPiece: pieceManager.addPiece.bind(pieceManager),
     updatePiece: pieceManager.updatePiece.bind(pieceManager),
     removePiece: pieceManager.removePiece.bind(pieceManager),
+    removePieceWithChildren: pieceManager.removePieceWithChildren.bind(pieceManager),
     getPiece: pieceManager.getPiece.bind(pieceManager),
+    getDescendants: pieceManager.getDescendants.bind(pieceManager),
     getAllPieces: pieceManager.getAllPieces.bind(pieceManager),
+    updatePieces: pieceManager.updatePieces.bind(pieceManager),
+    movePiece: pieceManager.movePiece.bind(pieceManager),
+    movePieces: pieceManager.movePieces.bind(pieceManager),
+    getPiecesInHex: pieceManager.getPiecesInHex.bind(pieceManager),
+    attachPiece: pieceManager.attachPiece.bind(pieceManager),
+    detachPiece: pieceManager.detachPiece.bind(pieceManager),
+    withFaces: pieceManager.withFaces.bind(pieceManager),
+    flipPiece: pieceManager.flipPiece.bind(pieceManager),
+    normalizeTransform: pieceManager.normalizeTransform.bind(pieceManager),
+    transformPiece: pieceManager.transformPiece.bind(pieceManager),
+    restackPiece: pieceManager.restackPiece.bind(pieceManager),
+    normalizeVisibility: pieceManager.normalizeVisibility.bind(pieceManager),
+    isLockable: pieceManager.isLockable.bind(pieceManager),
+    canSeePiece: pieceManager.canSeePiece.bind(pieceManager),
+    revealPiece: pieceManager.revealPiece.bind(pieceManager),
+    
+    // Decks and Hands
+    createDeck: deckManager.createDeck.bind(deckManager),
+    shuffleDeck: deckManager.shuffleDeck.bind(deckManager),
+    drawCard: deckManager.drawCard.bind(deckManager),
+    playCard: deckManager.playCard.bind(deckManager),
+    removeDeck: deckManager.removeDeck.bind(deckManager),
+    getHandCounts: deckManager.getHandCounts.bind(deckManager),
+    getPlayerView: deckManager.getPlayerView.bind(deckManager),
     
     // Asset Management
     registerAsset: assetManager.registerAsset.bind(assetManager),
     getAssets: assetManager.getAssets.bind(assetManager),
     getAssetById: assetManager.getAssetById.bind(assetManager),
+    getAssetUrls: assetManager.getAssetUrls.bind(assetManager),
     removeAsset: assetManager.removeAsset.bind(assetManager),
     
     // Game Management
@@ -46,7 +90,59 @@ const gameService = {
     getGame: gameManager.getGame.bind(gameManager),
     createGame: gameManager.createGame.bind(gameManager),
     deleteGame: gameManager.deleteGame.bind(gameManager),
-    updateGame: gameManager.updateGame.bind(gameManager)
+    updateGame: gameManager.updateGame.bind(gameManager),
+    autosaveGames: gameManager.autosaveGames.bind(gameManager),
+    compactGames: gameManager.compactGames.bind(gameManager),
+    migrateLegacyGames: gameManager.migrateLegacyGames.bind(gameManager),
+    getLastCompaction: gameManager.getLastCompaction.bind(gameManager),
+    
+    // Player Presence
+    addPlayer: presenceManager.addPlayer.bind(presenceManager),
+    updatePlayer: presenceManager.updatePlayer.bind(presenceManager),
+    removePlayer: presenceManager.removePlayer.bind(presenceManager),
+    getPlayers: presenceManager.getPlayers.bind(presenceManager),
+    prunePlayers: presenceManager.prunePlayers.bind(presenceManager),
+    
+    // Chat
+    addChatMessage: chatManager.addChatMessage.bind(chatManager),
+    getChatHistory: chatManager.getChatHistory.bind(chatManager),
+    clearChat: chatManager.clearChat.bind(chatManager),
+    
+    // Dice Rolls
+    addRoll: rollManager.addRoll.bind(rollManager),
+    getRolls: rollManager.getRolls.bind(rollManager),
+
+    // Board Settings
+    getSettings: settingsManager.getSettings.bind(settingsManager),
+    updateSettings: settingsManager.updateSettings.bind(settingsManager),
+    snapPosition: settingsManager.snapPosition.bind(settingsManager),
+    locateHex: settingsManager.locateHex.bind(settingsManager),
+    withHexCoordinates: settingsManager.withHexCoordinates.bind(settingsManager),
+
+    // Board Zones
+    getZones: zoneManager.getZones.bind(zoneManager),
+    createZone: zoneManager.createZone.bind(zoneManager),
+    updateZone: zoneManager.updateZone.bind(zoneManager),
+    removeZone: zoneManager.removeZone.bind(zoneManager),
+
+    // Turns
+    getTurns: turnManager.getTurns.bind(turnManager),
+    setTurnOrder: turnManager.setTurnOrder.bind(turnManager),
+    endTurn: turnManager.endTurn.bind(turnManager),
+    getTokenTaker: turnManager.getTokenTaker.bind(turnManager),
+    canTakeTokens: turnManager.canTakeTokens.bind(turnManager),
+
+    // Clocks and Timers
+    getClockView: clockManager.getClockView.bind(clockManager),
+    setClocks: clockManager.setClocks.bind(clockManager),
+    startClocks: clockManager.startClocks.bind(clockManager),
+    pauseClocks: clockManager.pauseClocks.bind(clockManager),
+    pressClock: clockManager.pressClock.bind(clockManager),
+    startTimer: clockManager.startTimer.bind(clockManager),
+    setTimerRunning: clockManager.setTimerRunning.bind(clockManager),
+    cancelTimer: clockManager.cancelTimer.bind(clockManager),
+    expireClocks: clockManager.expireClocks.bind(clockManager),
+    nextDeadline: clockManager.nextDeadline.bind(clockManager)
 };
 
 module.exports = gameService;
\ No newline at end of file
@@ -55,6 +55,27 @@ const assetManager = {
         }
     },
     
+    /**
+     * Resolve asset IDs to the URLs they are served from
+     * @param {Array<string>} assetIds - Asset IDs
+     * @returns {Promise<Array<string>|null>} URLs in the same order, or null if any asset is unknown
+     */
+    async getAssetUrls(assetIds) {
+        try {
+            const assets = await this.getAssets();
+            const byId = new Map(assets.map(asset => [asset.id, asset]));
+
+            if (!assetIds.every(assetId => byId.has(assetId))) {
+                return null;
+            }
+
+            return assetIds.map(assetId => `/assets/${byId.get(assetId).filename}`);
+        } catch (err) {
+            console.error('Error resolving asset URLs:', err);
+            return null;
+        }
+    },
+    
     /**
      * Remove an asset
      * @param {string} assetId - ID of the asset to remove
@@ -0,0 +1,67 @@
+/**
+ * Chat Manager - Stores in-game chat
+ * 
+ * Each game keeps its most recent messages in a capped list, oldest first.
+ */
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+const config = require('../../../config');
+
+/**
+ * Chat management service
+ */
+const chatManager = {
+    /**
+     * Append a message to a game's chat, dropping the oldest beyond the history length
+     * @param {string} gameId - The game ID
+     * @param {Object} message - The message to store
+     * @returns {Promise<boolean>} Success indicator
+     */
+    async addChatMessage(gameId, message) {
+        try {
+            const chatKey = keys.chatKey(gameId);
+
+            await redis.multi()
+                .rpush(chatKey, JSON.stringify(message))
+                .ltrim(chatKey, -config.chat.historyLength, -1)
+                .exec();
+
+            return true;
+        } catch (err) {
+            console.error('Error adding chat message:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Get a game's chat history
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Array>} Messages, oldest first
+     */
+    async getChatHistory(gameId) {
+        try {
+            const entries = await redis.lrange(keys.chatKey(gameId), 0, -1);
+            return entries.map(entry => JSON.parse(entry));
+        } catch (err) {
+            console.error('Error getting chat history:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Delete a game's chat history
+     * @param {string} gameId - The game ID
+     * @returns {Promise<boolean>} Success indicator
+     */
+    async clearChat(gameId) {
+        try {
+            await redis.del(keys.chatKey(gameId));
+            return true;
+        } catch (err) {
+            console.error('Error clearing chat:', err);
+            return false;
+        }
+    }
+};
+
+module.exports = chatManager;
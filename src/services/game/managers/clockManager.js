@@ -0,0 +1,653 @@
+/**
+ * Clock Manager - Runs each game's player clocks and named timers
+ *
+ * A game's clocks and timers are one JSON-encoded value. Running clocks and
+ * timers store when they were started rather than ticking, so their time
+ * left is worked out whenever they are read and survives server restarts.
+ * Player clocks count down in turn order, adding an increment after each
+ * move or waiting out a delay before they start to count. Timers count down
+ * on their own.
+ */
+const { v4: uuidv4 } = require('uuid');
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+
+// Maximum attempts for an optimistic clock update before giving up
+const MAX_UPDATE_ATTEMPTS = 10;
+
+// Most players with a clock, and most timers, in a game
+const MAX_CLOCK_PLAYERS = 50;
+const MAX_TIMERS = 20;
+
+// Longest timer name
+const MAX_NAME_LENGTH = 50;
+
+// Allowed range of clock and timer durations (ms)
+const MIN_DURATION_MS = 1000;
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Longest increment or delay (ms)
+const MAX_BONUS_MS = 60 * 60 * 1000;
+
+// How player clocks treat each move: `increment` adds the bonus after a
+// move, `delay` only starts counting once the bonus has passed
+const CLOCK_MODES = ['none', 'increment', 'delay'];
+
+/**
+ * Replace a game's clocks only if they have not changed since they were
+ * read. Returns 1 on commit, 0 on conflict, -1 if the game was deleted (a
+ * late write must not bring its metadata back).
+ *
+ * KEYS[1] - clocks key, KEYS[2] - game metadata
+ * ARGV[1] - expected clocks JSON ('' if unset), ARGV[2] - new clocks JSON,
+ * ARGV[3] - modification time
+ */
+redis.defineCommand('replaceClocksIfUnchanged', {
+    numberOfKeys: 2,
+    lua: `
+        if redis.call('EXISTS', KEYS[2]) == 0 then
+            return -1
+        end
+        if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then
+            return 0
+        end
+        redis.call('SET', KEYS[1], ARGV[2])
+        redis.call('HSET', KEYS[2], 'last_modified', ARGV[3], 'unsaved_changes', '1')
+        return 1
+    `
+});
+
+/**
+ * Clocks of a game nobody has set up
+ * @returns {Object} {order, mode, bonusMs, remaining, active, startedAt,
+ *   flagged, timers}
+ */
+const noClocks = () => ({
+    order: [],
+    mode: 'none',
+    bonusMs: 0,
+    remaining: {},
+    active: null,
+    startedAt: null,
+    flagged: null,
+    timers: []
+});
+
+/**
+ * Parse stored clocks, filling in defaults
+ * @param {string|null} clocksJson - Stored value
+ * @returns {Object} Clocks
+ */
+const parseClocks = clocksJson => (clocksJson ? { ...noClocks(), ...JSON.parse(clocksJson) } : noClocks());
+
+/**
+ * Check a duration against an allowed range
+ * @param {*} value - Value to check
+ * @param {number} min - Shortest allowed duration (ms)
+ * @param {number} max - Longest allowed duration (ms)
+ * @returns {boolean} True if valid
+ */
+const isDuration = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Get the time the running player clock has used
+ * @param {Object} clocks - The game's clocks
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {number} Time used (ms), not counting a delay
+ */
+const usedTime = (clocks, now) => {
+    if (!clocks.startedAt) {
+        return 0;
+    }
+
+    const delay = clocks.mode === 'delay' ? clocks.bonusMs : 0;
+    return Math.max(0, now - Date.parse(clocks.startedAt) - delay);
+};
+
+/**
+ * Get a timer's time left
+ * @param {Object} timer - The timer
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {number} Time left (ms)
+ */
+const timerLeft = (timer, now) => (timer.startedAt
+    ? Math.max(0, timer.remainingMs - (now - Date.parse(timer.startedAt)))
+    : timer.remainingMs);
+
+/**
+ * Stop the running player clock and every timer where they are
+ * @param {Object} clocks - The game's clocks
+ * @param {number} now - Time to stop them at (ms since the epoch)
+ * @returns {Object} The clocks, none of them running
+ */
+const freeze = (clocks, now) => {
+    const remaining = { ...clocks.remaining };
+
+    if (clocks.active && clocks.startedAt) {
+        remaining[clocks.active] = Math.max(0, remaining[clocks.active] - usedTime(clocks, now));
+    }
+
+    return {
+        ...clocks,
+        remaining,
+        startedAt: null,
+        timers: clocks.timers.map(timer => ({ ...timer, remainingMs: timerLeft(timer, now), startedAt: null }))
+    };
+};
+
+/**
+ * Describe clocks and timers for clients
+ *
+ * Running ones carry the time they run out so clients can count down on
+ * their own; `serverTime` lets them allow for their clock being off.
+ * @param {Object} clocks - The game's clocks
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {Object} {clocks: {order, mode, bonusMs, active, running,
+ *   flagged, players: {playerId: {remainingMs, deadline}}}, timers:
+ *   [{id, name, durationMs, remainingMs, deadline, expired, createdBy,
+ *   createdAt}], serverTime}
+ */
+const toView = (clocks, now) => {
+    const players = {};
+
+    clocks.order.forEach(playerId => {
+        const running = clocks.startedAt && clocks.active === playerId;
+        const delay = clocks.mode === 'delay' ? clocks.bonusMs : 0;
+
+        players[playerId] = {
+            remainingMs: running
+                ? Math.max(0, clocks.remaining[playerId] - usedTime(clocks, now))
+                : clocks.remaining[playerId],
+            deadline: running
+                ? new Date(Date.parse(clocks.startedAt) + delay + clocks.remaining[playerId]).toISOString()
+                : null
+        };
+    });
+
+    return {
+        clocks: {
+            order: clocks.order,
+            mode: clocks.mode,
+            bonusMs: clocks.bonusMs,
+            active: clocks.active,
+            running: Boolean(clocks.startedAt),
+            flagged: clocks.flagged,
+            players
+        },
+        timers: clocks.timers.map(({ startedAt, ...timer }) => ({
+            ...timer,
+            remainingMs: timerLeft({ ...timer, startedAt }, now),
+            deadline: startedAt
+                ? new Date(Date.parse(startedAt) + timer.remainingMs).toISOString()
+                : null
+        })),
+        serverTime: new Date(now).toISOString()
+    };
+};
+
+/**
+ * Clock management service
+ */
+const clockManager = {
+    /**
+     * Get a game's clocks as stored
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Object>} Clocks
+     */
+    async getClocks(gameId) {
+        try {
+            return parseClocks(await redis.get(keys.clocksKey(gameId)));
+        } catch (err) {
+            console.error('Error getting clocks:', err);
+            return noClocks();
+        }
+    },
+
+    /**
+     * Get a game's clocks and timers as sent to clients
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Object>} {clocks, timers, serverTime} (see toView)
+     */
+    async getClockView(gameId) {
+        return toView(await this.getClocks(gameId), Date.now());
+    },
+
+    /**
+     * Change a game's clocks in one compare-and-set write
+     *
+     * `change` receives the current clocks and time and returns the new
+     * clocks, or an error message to give up with.
+     * @param {string} gameId - The game ID
+     * @param {Function} change - Computes the new clocks
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async updateClocks(gameId, change) {
+        const clocksKey = keys.clocksKey(gameId);
+
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const clocksJson = await redis.get(clocksKey);
+            const now = Date.now();
+            const clocks = change(parseClocks(clocksJson), now);
+
+            if (typeof clocks === 'string') {
+                return { success: false, error: clocks };
+            }
+
+            const committed = await redis.replaceClocksIfUnchanged(
+                clocksKey,
+                keys.metaKey(gameId),
+                clocksJson || '',
+                JSON.stringify(clocks),
+                new Date(now).toISOString()
+            );
+
+            if (committed === -1) {
+                return { success: false, error: 'Game not found' };
+            }
+
+            if (committed) {
+                return { success: true, ...toView(clocks, now) };
+            }
+        }
+
+        console.error(`Gave up updating clocks of game ${gameId} after ${MAX_UPDATE_ATTEMPTS} attempts`);
+        return { success: false, error: 'Failed to update clocks' };
+    },
+
+    /**
+     * Give players fresh clocks, stopped until started
+     *
+     * An empty order removes the player clocks; timers are kept either way.
+     * Once players have clocks only they can set new ones, and only while
+     * the clocks are paused.
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player setting the clocks
+     * @param {Object} options - {order, initialMs, mode, bonusMs}; order
+     *   lists player IDs in the order they move, mode and bonusMs are
+     *   optional
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async setClocks(gameId, playerId, { order, initialMs, mode = 'none', bonusMs = 0 } = {}) {
+        try {
+            if (!Array.isArray(order) || order.length > MAX_CLOCK_PLAYERS
+                || !order.every(playerId => typeof playerId === 'string' && playerId)) {
+                return { success: false, error: `Clock order must list up to ${MAX_CLOCK_PLAYERS} player IDs` };
+            }
+
+            if (new Set(order).size !== order.length) {
+                return { success: false, error: 'A player can have only one clock' };
+            }
+
+            if (order.length > 0 && !isDuration(initialMs, MIN_DURATION_MS, MAX_DURATION_MS)) {
+                return { success: false, error: `Clock time must be whole milliseconds from ${MIN_DURATION_MS} to ${MAX_DURATION_MS}` };
+            }
+
+            if (!CLOCK_MODES.includes(mode)) {
+                return { success: false, error: `Clock mode must be one of: ${CLOCK_MODES.join(', ')}` };
+            }
+
+            if (!isDuration(bonusMs, 0, MAX_BONUS_MS)) {
+                return { success: false, error: `Increment or delay must be whole milliseconds from 0 to ${MAX_BONUS_MS}` };
+            }
+
+            return await this.updateClocks(gameId, (clocks) => {
+                if (clocks.order.length > 0 && !clocks.order.includes(playerId)) {
+                    return 'Only players with a clock can change the clocks';
+                }
+
+                if (clocks.startedAt) {
+                    return 'Pause the clocks before setting them';
+                }
+
+                return {
+                    ...noClocks(),
+                    order,
+                    mode,
+                    bonusMs: mode === 'none' ? 0 : bonusMs,
+                    remaining: Object.fromEntries(order.map(clockPlayerId => [clockPlayerId, initialMs])),
+                    timers: clocks.timers
+                };
+            });
+        } catch (err) {
+            console.error('Error setting clocks:', err);
+            return { success: false, error: 'Failed to set clocks' };
+        }
+    },
+
+    /**
+     * Start the first clock, or resume the clock that was paused
+     *
+     * Only players with a clock can start the clocks. Which clock starts can
+     * be picked only before any clock has run; after that only the paused
+     * one can be resumed.
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player starting the clocks
+     * @param {string} [clockPlayerId] - Whose clock to start; defaults to
+     *   the paused clock, or the first player's
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async startClocks(gameId, playerId, clockPlayerId) {
+        try {
+            return await this.updateClocks(gameId, (clocks, now) => {
+                if (clocks.order.length === 0) {
+                    return 'There are no clocks';
+                }
+
+                if (!clocks.order.includes(playerId)) {
+                    return 'Only players with a clock can start the clocks';
+                }
+
+                if (clocks.flagged) {
+                    return 'A clock has run out';
+                }
+
+                if (clocks.startedAt) {
+                    return 'The clocks are already running';
+                }
+
+                if (clocks.active && clockPlayerId && clockPlayerId !== clocks.active) {
+                    return 'Only the paused clock can be resumed';
+                }
+
+                const active = clocks.active || clockPlayerId || clocks.order[0];
+
+                if (!clocks.order.includes(active)) {
+                    return 'That player has no clock';
+                }
+
+                return { ...clocks, active, startedAt: new Date(now).toISOString() };
+            });
+        } catch (err) {
+            console.error('Error starting clocks:', err);
+            return { success: false, error: 'Failed to start clocks' };
+        }
+    },
+
+    /**
+     * Pause the running player clock
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player pausing it, who must have a clock
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async pauseClocks(gameId, playerId) {
+        try {
+            return await this.updateClocks(gameId, (clocks, now) => {
+                if (!clocks.order.includes(playerId)) {
+                    return 'Only players with a clock can pause the clocks';
+                }
+
+                if (!clocks.startedAt) {
+                    return 'The clocks are not running';
+                }
+
+                const { remaining, startedAt } = freeze(clocks, now);
+                return { ...clocks, remaining, startedAt };
+            });
+        } catch (err) {
+            console.error('Error pausing clocks:', err);
+            return { success: false, error: 'Failed to pause clocks' };
+        }
+    },
+
+    /**
+     * Stop a player's clock after their move and start the next player's
+     *
+     * In increment mode the bonus is added to the stopped clock. A clock
+     * that ran out before it was pressed is flagged instead.
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player whose clock is running
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async pressClock(gameId, playerId) {
+        try {
+            return await this.updateClocks(gameId, (clocks, now) => {
+                if (!clocks.startedAt || clocks.active !== playerId) {
+                    return 'Your clock is not running';
+                }
+
+                const left = clocks.remaining[playerId] - usedTime(clocks, now);
+
+                if (left <= 0) {
+                    return { ...freeze(clocks, now), timers: clocks.timers, flagged: playerId };
+                }
+
+                const next = clocks.order[(clocks.order.indexOf(playerId) + 1) % clocks.order.length];
+
+                return {
+                    ...clocks,
+                    remaining: {
+                        ...clocks.remaining,
+                        [playerId]: Math.min(MAX_DURATION_MS, left + (clocks.mode === 'increment' ? clocks.bonusMs : 0))
+                    },
+                    active: next,
+                    startedAt: new Date(now).toISOString()
+                };
+            });
+        } catch (err) {
+            console.error('Error pressing clock:', err);
+            return { success: false, error: 'Failed to press clock' };
+        }
+    },
+
+    /**
+     * Start a named timer
+     * @param {string} gameId - The game ID
+     * @param {Object} fields - {name, durationMs}
+     * @param {string} playerId - The player starting it
+     * @returns {Promise<Object>} {success, timer, clocks, timers, serverTime}
+     *   or {success: false, error}
+     */
+    async startTimer(gameId, { name, durationMs } = {}, playerId) {
+        try {
+            if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+                return { success: false, error: `Timer name must be 1 to ${MAX_NAME_LENGTH} characters` };
+            }
+
+            if (!isDuration(durationMs, MIN_DURATION_MS, MAX_DURATION_MS)) {
+                return { success: false, error: `Timer duration must be whole milliseconds from ${MIN_DURATION_MS} to ${MAX_DURATION_MS}` };
+            }
+
+            const id = uuidv4();
+            const result = await this.updateClocks(gameId, (clocks, now) => {
+                if (clocks.timers.length >= MAX_TIMERS) {
+                    return `A game can have at most ${MAX_TIMERS} timers`;
+                }
+
+                const timer = {
+                    id,
+                    name: name.trim(),
+                    durationMs,
+                    remainingMs: durationMs,
+                    startedAt: new Date(now).toISOString(),
+                    expired: false,
+                    createdBy: playerId,
+                    createdAt: new Date(now).toISOString()
+                };
+
+                return { ...clocks, timers: [...clocks.timers, timer] };
+            });
+
+            return result.success
+                ? { ...result, timer: result.timers.find(timer => timer.id === id) }
+                : result;
+        } catch (err) {
+            console.error('Error starting timer:', err);
+            return { success: false, error: 'Failed to start timer' };
+        }
+    },
+
+    /**
+     * Pause or resume a timer; only the player who started it may
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player making the change
+     * @param {string} timerId - The timer ID
+     * @param {boolean} running - True to resume, false to pause
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async setTimerRunning(gameId, playerId, timerId, running) {
+        try {
+            return await this.updateClocks(gameId, (clocks, now) => {
+                const timer = clocks.timers.find(t => t.id === timerId);
+
+                if (!timer) {
+                    return 'Timer not found';
+                }
+
+                if (timer.createdBy !== playerId) {
+                    return 'Only the player who started this timer can change it';
+                }
+
+                if (timer.expired) {
+                    return 'Timer has run out';
+                }
+
+                if (Boolean(timer.startedAt) === running) {
+                    return running ? 'Timer is already running' : 'Timer is not running';
+                }
+
+                const changed = running
+                    ? { ...timer, startedAt: new Date(now).toISOString() }
+                    : { ...timer, remainingMs: timerLeft(timer, now), startedAt: null };
+
+                return { ...clocks, timers: clocks.timers.map(t => (t.id === timerId ? changed : t)) };
+            });
+        } catch (err) {
+            console.error('Error changing timer:', err);
+            return { success: false, error: 'Failed to change timer' };
+        }
+    },
+
+    /**
+     * Remove a timer, running or not; only the player who started it may
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player removing the timer
+     * @param {string} timerId - The timer ID
+     * @returns {Promise<Object>} {success, clocks, timers, serverTime} or
+     *   {success: false, error}
+     */
+    async cancelTimer(gameId, playerId, timerId) {
+        try {
+            return await this.updateClocks(gameId, (clocks) => {
+                const timer = clocks.timers.find(t => t.id === timerId);
+
+                if (!timer) {
+                    return 'Timer not found';
+                }
+
+                if (timer.createdBy !== playerId) {
+                    return 'Only the player who started this timer can cancel it';
+                }
+
+                return { ...clocks, timers: clocks.timers.filter(timer => timer.id !== timerId) };
+            });
+        } catch (err) {
+            console.error('Error cancelling timer:', err);
+            return { success: false, error: 'Failed to cancel timer' };
+        }
+    },
+
+    /**
+     * Flag a player clock and expire timers that have run out
+     *
+     * Writes nothing when nothing has run out.
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Object>} {success, flagged, expired, clocks, timers,
+     *   serverTime} where flagged is the player whose clock ran out (or
+     *   null) and expired lists the timers that ran out
+     */
+    async expireClocks(gameId) {
+        try {
+            const view = await this.getClockView(gameId);
+            const deadline = this.nextDeadline(view);
+
+            if (deadline === null || deadline > Date.parse(view.serverTime)) {
+                return { success: true, flagged: null, expired: [], ...view };
+            }
+
+            let flagged = null;
+            let expired = [];
+
+            const result = await this.updateClocks(gameId, (clocks, now) => {
+                const clockOut = clocks.startedAt && clocks.remaining[clocks.active] - usedTime(clocks, now) <= 0;
+                const timersOut = clocks.timers.filter(timer => timer.startedAt && timerLeft(timer, now) === 0);
+
+                flagged = clockOut ? clocks.active : null;
+                expired = timersOut.map(timer => timer.id);
+
+                if (!clockOut && timersOut.length === 0) {
+                    return clocks;
+                }
+
+                const stopped = clockOut ? freeze(clocks, now) : clocks;
+
+                return {
+                    ...stopped,
+                    flagged: flagged || clocks.flagged,
+                    timers: clocks.timers.map(timer => (expired.includes(timer.id)
+                        ? { ...timer, remainingMs: 0, startedAt: null, expired: true }
+                        : timer))
+                };
+            });
+
+            if (!result.success) {
+                return result;
+            }
+
+            return {
+                ...result,
+                flagged,
+                expired: result.timers.filter(timer => expired.includes(timer.id))
+            };
+        } catch (err) {
+            console.error('Error expiring clocks:', err);
+            return { success: false, error: 'Failed to expire clocks' };
+        }
+    },
+
+    /**
+     * Find when the next player clock or timer runs out
+     * @param {Object} view - Clocks and timers as returned by getClockView
+     * @returns {number|null} Time (ms since the epoch), or null if nothing
+     *   is running
+     */
+    nextDeadline(view) {
+        const deadlines = [
+            ...Object.values(view.clocks.players).map(clock => clock.deadline),
+            ...view.timers.map(timer => timer.deadline)
+        ].filter(Boolean).map(deadline => Date.parse(deadline));
+
+        return deadlines.length > 0 ? Math.min(...deadlines) : null;
+    },
+
+    /**
+     * Put back the clocks of a saved state, or stop the live ones
+     *
+     * Either way nothing runs after a load: saved clocks and timers come
+     * back paused with the time they had when the state was saved.
+     * @param {string} gameId - The game ID
+     * @param {Object} [saved] - Clocks of the saved state
+     * @param {string} [savedAt] - When the state was saved
+     * @returns {Promise<void>}
+     */
+    async restoreClocks(gameId, saved, savedAt) {
+        if (saved) {
+            const at = Date.parse(savedAt) || Date.now();
+            await redis.set(keys.clocksKey(gameId), JSON.stringify(freeze({ ...noClocks(), ...saved }, at)));
+            return;
+        }
+
+        const result = await this.updateClocks(gameId, (clocks, now) => freeze(clocks, now));
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+};
+
+module.exports = clockManager;
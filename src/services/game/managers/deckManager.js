@@ -0,0 +1,332 @@
+/**
+ * Deck Manager - Card decks and private hands
+ * 
+ * Decks and cards are pieces in the live board hash. A deck piece
+ * (`type: 'deck'`) holds the ordered IDs of the cards still in it, top card
+ * last. A card piece (`type: 'card'`) records where it is: `location` is
+ * 'deck', 'hand' (with the `holder` player ID) or 'board'. Cards in a deck or
+ * in someone else's hand are left out of each player's view of the game.
+ */
+const crypto = require('crypto');
+const { DEFAULT_GAME_ID } = require('../constants/redisKeys');
+const pieceManager = require('./pieceManager');
+
+// Largest deck that can be created
+const MAX_DECK_SIZE = 500;
+
+// Attempts to draw before giving up when other draws keep changing the deck
+const MAX_DRAW_ATTEMPTS = 10;
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} The same array
+ */
+const shuffle = (items) => {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+};
+
+/**
+ * Deck management service
+ */
+const deckManager = {
+    /**
+     * Create a deck and its cards
+     * @param {Object} deck - {id, x, y, backUrl, owner, cards: [{id, assetUrl}]}
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, deck} or {success: false, error}
+     */
+    async createDeck(deck, gameId = DEFAULT_GAME_ID) {
+        try {
+            const cards = Array.isArray(deck.cards) ? deck.cards : [];
+            const cardIds = cards.map(card => card && card.id);
+
+            if (cards.length === 0 || cards.length > MAX_DECK_SIZE) {
+                return { success: false, error: `A deck needs 1 to ${MAX_DECK_SIZE} cards` };
+            }
+
+            if (cards.some(card => typeof card.id !== 'string' || typeof card.assetUrl !== 'string')
+                || new Set([deck.id, ...cardIds]).size !== cardIds.length + 1) {
+                return { success: false, error: 'Every card needs a unique ID and an asset' };
+            }
+
+            const createdAt = new Date().toISOString();
+            const backUrl = deck.backUrl || null;
+
+            const changes = await pieceManager.updatePieces([deck.id, ...cardIds], (current) => {
+                if (Object.values(current).some(piece => piece)) {
+                    return null; // IDs already in use
+                }
+
+                const created = {
+                    [deck.id]: {
+                        id: deck.id,
+                        type: 'deck',
+                        x: deck.x,
+                        y: deck.y,
+                        assetUrl: backUrl,
+                        cards: [...cardIds].reverse(), // First card on top
+                        owner: deck.owner,
+                        createdAt
+                    }
+                };
+
+                cards.forEach(card => {
+                    created[card.id] = {
+                        id: card.id,
+                        type: 'card',
+                        deckId: deck.id,
+                        assetUrl: card.assetUrl,
+                        backUrl,
+                        location: 'deck',
+                        holder: null,
+                        x: deck.x,
+                        y: deck.y,
+                        owner: deck.owner,
+                        createdAt
+                    };
+                });
+
+                return created;
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'A piece with that ID already exists' };
+            }
+
+            return { success: true, deck: changes[deck.id] };
+        } catch (err) {
+            console.error('Error creating deck:', err);
+            return { success: false, error: 'Failed to create deck' };
+        }
+    },
+
+    /**
+     * Shuffle the cards left in a deck
+     * @param {string} deckId - The deck ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, deck} or {success: false, error}
+     */
+    async shuffleDeck(deckId, gameId = DEFAULT_GAME_ID) {
+        try {
+            const changes = await pieceManager.updatePieces([deckId], (current) => {
+                const deck = current[deckId];
+
+                if (!deck || deck.type !== 'deck') {
+                    return null;
+                }
+
+                return { [deckId]: { ...deck, cards: shuffle([...deck.cards]) } };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'Deck not found' };
+            }
+
+            return { success: true, deck: changes[deckId] };
+        } catch (err) {
+            console.error('Error shuffling deck:', err);
+            return { success: false, error: 'Failed to shuffle deck' };
+        }
+    },
+
+    /**
+     * Draw the top card of a deck into a player's hand
+     * @param {string} deckId - The deck ID
+     * @param {string} playerId - The drawing player
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, deck, card} or {success: false, error}
+     */
+    async drawCard(deckId, playerId, gameId = DEFAULT_GAME_ID) {
+        try {
+            for (let attempt = 0; attempt < MAX_DRAW_ATTEMPTS; attempt++) {
+                const deck = await pieceManager.getPiece(deckId, gameId);
+
+                if (!deck || deck.type !== 'deck') {
+                    return { success: false, error: 'Deck not found' };
+                }
+
+                if (deck.cards.length === 0) {
+                    return { success: false, error: 'Deck is empty' };
+                }
+
+                const cardId = deck.cards[deck.cards.length - 1];
+                let topChanged = false;
+
+                const changes = await pieceManager.updatePieces([deckId, cardId], (current) => {
+                    const freshDeck = current[deckId];
+                    const card = current[cardId];
+
+                    // Someone else drew or shuffled first
+                    if (!freshDeck || freshDeck.cards[freshDeck.cards.length - 1] !== cardId || !card) {
+                        topChanged = true;
+                        return null;
+                    }
+
+                    return {
+                        [deckId]: { ...freshDeck, cards: freshDeck.cards.slice(0, -1) },
+                        [cardId]: { ...card, location: 'hand', holder: playerId }
+                    };
+                }, gameId);
+
+                if (changes) {
+                    return { success: true, deck: changes[deckId], card: changes[cardId] };
+                }
+
+                if (!topChanged) {
+                    break;
+                }
+            }
+
+            return { success: false, error: 'Failed to draw card' };
+        } catch (err) {
+            console.error('Error drawing card:', err);
+            return { success: false, error: 'Failed to draw card' };
+        }
+    },
+
+    /**
+     * Play a card from a player's hand face up onto the board
+     * 
+     * The card lands like a moved piece: the rules of the zone it enters
+     * apply and auto-arrange zones are laid out again.
+     * @param {string} cardId - The card ID
+     * @param {string} playerId - The player holding the card
+     * @param {Object} position - {x, y} on the board
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, card, arranged, crossings} with
+     *   the pieces re-arranged in zones and the zones entered (see
+     *   pieceManager.moveWithinZones), or {success: false, error}
+     */
+    async playCard(cardId, playerId, { x, y }, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                return { success: false, error: 'Position must be finite numbers' };
+            }
+
+            const result = await pieceManager.moveWithinZones([cardId], (current) => {
+                const card = current[cardId];
+
+                if (card.type !== 'card' || card.location !== 'hand' || card.holder !== playerId) {
+                    return null;
+                }
+
+                return { [cardId]: { ...card, location: 'board', holder: null, x, y } };
+            }, gameId, playerId);
+
+            if (!result.success) {
+                return result.pieces ? { success: false, error: result.error } : { success: false, error: 'That card is not in your hand' };
+            }
+
+            const { changes, crossings } = result;
+
+            return {
+                success: true,
+                card: changes[cardId],
+                arranged: Object.keys(changes).filter(id => id !== cardId).map(id => changes[id]),
+                crossings
+            };
+        } catch (err) {
+            console.error('Error playing card:', err);
+            return { success: false, error: 'Failed to play card' };
+        }
+    },
+
+    /**
+     * Remove a deck together with the cards still in it
+     * @param {string} deckId - The deck ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<boolean>} Success indicator
+     */
+    async removeDeck(deckId, gameId = DEFAULT_GAME_ID) {
+        try {
+            const deck = await pieceManager.getPiece(deckId, gameId);
+
+            if (!deck || deck.type !== 'deck') {
+                return false;
+            }
+
+            // Cards only ever leave a deck, so the current list covers any later state
+            const changes = await pieceManager.updatePieces([deckId, ...deck.cards], (current) => {
+                const removed = { [deckId]: null };
+
+                deck.cards.forEach(cardId => {
+                    const card = current[cardId];
+                    if (card && card.location === 'deck' && card.deckId === deckId) {
+                        removed[cardId] = null;
+                    }
+                });
+
+                return removed;
+            }, gameId);
+
+            return changes !== null;
+        } catch (err) {
+            console.error('Error removing deck:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Count the cards in each player's hand
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} Card count by player ID
+     */
+    async getHandCounts(gameId = DEFAULT_GAME_ID) {
+        try {
+            const pieces = await pieceManager.getAllPieces(gameId);
+            return this.getPlayerView({ pieces }, null).hands;
+        } catch (err) {
+            console.error('Error counting hands:', err);
+            return {};
+        }
+    },
+
+    /**
+     * Filter a game state down to what one player may see
+     * 
+     * Cards in decks are dropped and decks carry a `cardCount` instead of
+     * their order. Cards in hands are dropped from `pieces`; the player's own
+     * are listed in `hand` and every hand's size in `hands`. Pieces the
+     * player may not see (see `canSeePiece`) are dropped too.
+     * @param {Object} state - Game state with all pieces
+     * @param {string|null} playerId - The viewing player (null for nobody's hand)
+     * @returns {Object} The player's view of the state
+     */
+    getPlayerView(state, playerId) {
+        const pieces = [];
+        const hand = [];
+        const hands = {};
+
+        (state.pieces || []).forEach(piece => {
+            if (!pieceManager.canSeePiece(piece, playerId)) {
+                return;
+            }
+
+            if (piece.type === 'deck') {
+                const { cards, ...deck } = piece;
+                pieces.push({ ...deck, cardCount: cards.length });
+            } else if (piece.type === 'card' && piece.location === 'hand') {
+                hands[piece.holder] = (hands[piece.holder] || 0) + 1;
+                if (piece.holder === playerId) {
+                    hand.push(piece);
+                }
+            } else if (!(piece.type === 'card' && piece.location === 'deck')) {
+                pieces.push(piece);
+            }
+        });
+
+        return {
+            ...state,
+            pieces,
+            hand,
+            hands
+        };
+    }
+};
+
+module.exports = deckManager;
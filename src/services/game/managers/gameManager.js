@@ -97,7 +97,8 @@ const gameManager = {
             await redis.hset(metaKey, {
                 'name': gameName,
                 'created_at': new Date(timestamp).toISOString(),
-                'last_modified': new Date(timestamp).toISOString()
+                'last_modified': new Date(timestamp).toISOString(),
+                'live_state': '1'
             });
 
             // Create initial empty state
@@ -119,18 +120,33 @@ const gameManager = {
     /**
      * Delete a game
      * @param {string} gameId - ID of the game to delete
+     * @param {Object} [options] - Delete options
+     * @param {boolean} [options.clearChat=true] - Also delete the chat history
      * @returns {Promise<boolean>} Success indicator
      */
-    async deleteGame(gameId) {
+    async deleteGame(gameId, { clearChat = true } = {}) {
         try {
             const metaKey = keys.metaKey(gameId);
             const statesKey = keys.statesKey(gameId);
             const currentKey = keys.currentKey(gameId);
+            const piecesKey = keys.piecesKey(gameId);
+            const playersKey = keys.playersKey(gameId);
             
             // Delete all keys related to this game
             await redis.del(metaKey);
             await redis.del(statesKey);
             await redis.del(currentKey);
+            await redis.del(piecesKey);
+            await redis.del(playersKey);
+            await redis.del(keys.rollsKey(gameId));
+            await redis.del(keys.settingsKey(gameId));
+            await redis.del(keys.zonesKey(gameId));
+            await redis.del(keys.turnsKey(gameId));
+            await redis.del(keys.clocksKey(gameId));
+            
+            if (clearChat) {
+                await redis.del(keys.chatKey(gameId));
+            }
             
             return true;
         } catch (err) {
@@ -166,6 +182,99 @@ const gameManager = {
             console.error(`Error updating game ${gameId}:`, err);
             return false;
         }
+    },
+
+    /**
+     * Snapshot every game whose board changed since its last autosave
+     * @returns {Promise<number>} Number of games saved
+     */
+    async autosaveGames() {
+        try {
+            const games = await this.getGames();
+            let saved = 0;
+
+            for (const game of games) {
+                if (await stateManager.autosaveGame(game.id)) {
+                    saved++;
+                }
+            }
+
+            return saved;
+        } catch (err) {
+            console.error('Error autosaving games:', err);
+            return 0;
+        }
+    },
+
+    /**
+     * Seed the live boards of games saved before live state existed
+     * @returns {Promise<number>} Number of games migrated
+     */
+    async migrateLegacyGames() {
+        try {
+            const games = await this.getGames();
+            let migrated = 0;
+
+            for (const game of games) {
+                if (await stateManager.migrateLegacyState(game.id)) {
+                    migrated++;
+                }
+            }
+
+            return migrated;
+        } catch (err) {
+            console.error('Error migrating games:', err);
+            return 0;
+        }
+    },
+
+    /**
+     * Prune the snapshots of every game according to a retention policy
+     * @param {Object} policy - Retention policy from config
+     * @returns {Promise<Object>} Compaction report
+     */
+    async compactGames(policy) {
+        try {
+            const games = await this.getGames();
+            const report = {
+                ranAt: new Date().toISOString(),
+                gamesCompacted: 0,
+                statesRemoved: 0,
+                bytesReclaimed: 0,
+                games: []
+            };
+
+            for (const game of games) {
+                const result = await stateManager.compactStates(game.id, policy);
+
+                if (result.statesRemoved > 0) {
+                    report.gamesCompacted++;
+                    report.statesRemoved += result.statesRemoved;
+                    report.bytesReclaimed += result.bytesReclaimed;
+                    report.games.push({ gameId: game.id, ...result });
+                }
+            }
+
+            await redis.set(keys.compaction(), JSON.stringify(report));
+            return report;
+        } catch (err) {
+            console.error('Error compacting games:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Get the report of the last compaction run
+     * @returns {Promise<Object|null>} Compaction report or null if none ran yet
+     */
+    async getLastCompaction() {
+        try {
+            const report = await redis.get(keys.compaction());
+            return report ? JSON.parse(report) : null;
+        } catch (err) {
+            console.error('Error getting compaction report:', err);
+            return null;
+        }
     }
 };
 
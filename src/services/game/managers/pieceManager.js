@@ -1,8 +1,233 @@
 /**
  * Piece Manager - Handles game piece operations
+ * 
+ * Pieces live in a per-game hash with one JSON-encoded field per piece, so
+ * changes to different pieces never touch the same data.
  */
-const { DEFAULT_GAME_ID } = require('../constants/redisKeys');
+const crypto = require('crypto');
+const redis = require('../../../utils/redisClient');
+const tokenService = require('../../tokenService');
+const { DEFAULT_GAME_ID, keys } = require('../constants/redisKeys');
 const stateManager = require('./stateManager');
+const assetManager = require('./assetManager');
+const settingsManager = require('./settingsManager');
+const zoneManager = require('./zoneManager');
+
+// Most faces a single piece can have
+const MAX_FACES = 50;
+
+// Allowed range of a piece's scale factor
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+
+// Largest absolute z-index a piece can have
+const MAX_Z_INDEX = 1000000;
+
+// Who can see a piece: everyone, its owner, its owner and listed players,
+// or its owner until it is revealed to everyone
+const VISIBILITY_MODES = ['everyone', 'owner', 'players', 'hidden'];
+
+// Most players a piece can be shown to by name
+const MAX_VISIBLE_TO = 50;
+
+/**
+ * Replace a piece only if it has not changed since it was read.
+ * Returns 1 on commit, 0 on conflict or if the piece is gone.
+ *
+ * KEYS[1] - pieces hash, KEYS[2] - game metadata
+ * ARGV[1] - piece ID, ARGV[2] - expected piece JSON, ARGV[3] - new piece JSON,
+ * ARGV[4] - modification time
+ */
+redis.defineCommand('updatePieceIfUnchanged', {
+    numberOfKeys: 2,
+    lua: `
+        if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then
+            return 0
+        end
+        redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+        redis.call('HSET', KEYS[2], 'last_modified', ARGV[4], 'unsaved_changes', '1')
+        return 1
+    `
+});
+
+/**
+ * Apply changes to several pieces only if none of them changed since they
+ * were read. Returns 1 on commit, 0 on conflict.
+ *
+ * KEYS[1] - pieces hash, KEYS[2] - game metadata
+ * ARGV[1] - modification time, then one triple per piece: piece ID,
+ * expected piece JSON ('' if it must not exist), new piece JSON ('' to delete)
+ */
+redis.defineCommand('updatePiecesIfUnchanged', {
+    numberOfKeys: 2,
+    lua: `
+        for i = 2, #ARGV, 3 do
+            if (redis.call('HGET', KEYS[1], ARGV[i]) or '') ~= ARGV[i + 1] then
+                return 0
+            end
+        end
+        for i = 2, #ARGV, 3 do
+            if ARGV[i + 2] == '' then
+                redis.call('HDEL', KEYS[1], ARGV[i])
+            else
+                redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 2])
+            end
+        end
+        redis.call('HSET', KEYS[2], 'last_modified', ARGV[1], 'unsaved_changes', '1')
+        return 1
+    `
+});
+
+/**
+ * Record that the live board changed since the last snapshot
+ * @param {Object} transaction - Redis multi to add the update to
+ * @param {string} gameId - The game ID
+ * @returns {Object} The transaction
+ */
+const markModified = (transaction, gameId) => transaction.hset(keys.metaKey(gameId), {
+    'last_modified': new Date().toISOString(),
+    'unsaved_changes': '1'
+});
+
+/**
+ * Collect every piece attached to a set of pieces, directly or through
+ * other attached pieces
+ * @param {Array<Object>} pieces - All pieces of the game
+ * @param {Array<string>} pieceIds - IDs of the parent pieces
+ * @returns {Array<string>} IDs of the attached pieces, nearest first,
+ *   leaving out the parents themselves
+ */
+const collectDescendants = (pieces, pieceIds) => {
+    const children = new Map();
+
+    pieces.forEach((piece) => {
+        if (piece.parentId) {
+            children.set(piece.parentId, [...(children.get(piece.parentId) || []), piece.id]);
+        }
+    });
+
+    const seen = new Set(pieceIds);
+    const found = [];
+    const pending = [...pieceIds];
+
+    while (pending.length > 0) {
+        (children.get(pending.shift()) || []).forEach((childId) => {
+            if (!seen.has(childId)) {
+                seen.add(childId);
+                found.push(childId);
+                pending.push(childId);
+            }
+        });
+    }
+
+    return found;
+};
+
+/**
+ * Check whether a piece can be attached to or carry other pieces; decks
+ * and cards that are not on the board cannot
+ * @param {Object} piece - The piece
+ * @returns {boolean} True if the piece can be grouped
+ */
+const isGroupable = piece => piece.type !== 'deck' && (piece.type !== 'card' || piece.location === 'board');
+
+/**
+ * Check whether a piece is on the board; cards in decks and hands are not
+ * @param {Object} piece - The piece
+ * @returns {boolean} True if on the board
+ */
+const isOnBoard = piece => piece.type !== 'card' || piece.location === 'board';
+
+/**
+ * Work out what a move does to the board's zones
+ * 
+ * Checks the rules of every zone a moved piece enters, then lays out the
+ * auto-arrange zones that pieces entered or left again. Only pieces in
+ * `current` can be written, so other pieces are not re-arranged.
+ * @param {Object} context - {zones, settings, pieces} with all pieces of
+ *   the game as read before the move
+ * @param {Object} current - Fresh pieces by ID
+ * @param {Object} moved - The moved pieces by ID
+ * @returns {Object} {arranged, crossings} with the re-arranged pieces by ID
+ *   and [{pieceId, zoneId, name, entered}], or {error}
+ */
+const applyZones = ({ zones, settings, pieces }, current, moved) => {
+    const before = {};
+    pieces.forEach((piece) => {
+        before[piece.id] = piece;
+    });
+    Object.values(current).forEach((piece) => {
+        if (piece) {
+            before[piece.id] = piece;
+        }
+    });
+
+    const after = { ...before, ...moved };
+    const zoneOf = piece => (isOnBoard(piece) ? zoneManager.zoneAt(zones, piece) : null);
+    const crossings = [];
+
+    Object.keys(moved).forEach((pieceId) => {
+        const from = zoneOf(before[pieceId]);
+        const to = zoneOf(after[pieceId]);
+
+        if (from && from !== to) {
+            crossings.push({ pieceId, zoneId: from.id, name: from.name, entered: false });
+        }
+        if (to && to !== from) {
+            crossings.push({ pieceId, zoneId: to.id, name: to.name, entered: true });
+        }
+    });
+
+    const touched = zones.filter(zone => crossings.some(crossing => crossing.zoneId === zone.id));
+
+    for (const zone of touched) {
+        const entering = crossings.filter(crossing => crossing.entered && crossing.zoneId === zone.id);
+        const { maxPieces, allowedOwners } = zone.rules;
+
+        if (entering.length === 0) {
+            continue;
+        }
+
+        if (allowedOwners && entering.some(crossing => !allowedOwners.includes(after[crossing.pieceId].owner))) {
+            return { error: `Zone "${zone.name}" does not accept these pieces` };
+        }
+
+        if (maxPieces !== null && Object.values(after).filter(piece => zoneOf(piece) === zone).length > maxPieces) {
+            return { error: `Zone "${zone.name}" holds at most ${maxPieces} pieces` };
+        }
+    }
+
+    const arranged = {};
+    const board = Object.values(after);
+
+    for (const zone of touched.filter(candidate => candidate.rules.autoArrange)) {
+        // Attached pieces keep their place relative to their parents
+        const members = board
+            .filter(piece => current[piece.id] && !piece.parentId && zoneOf(piece) === zone)
+            .sort((a, b) => a.y - b.y || a.x - b.x);
+
+        // Only cells inside the zone, and not under another zone, are used
+        const positions = zoneManager.arrangePositions(zone, members.length, settings.gridSize, zones);
+
+        if (!positions) {
+            return { error: `Zone "${zone.name}" is too small to arrange pieces in` };
+        }
+
+        members.forEach((piece, index) => {
+            const dx = positions[index].x - piece.x;
+            const dy = positions[index].y - piece.y;
+
+            [piece.id, ...collectDescendants(board, [piece.id])].forEach((pieceId) => {
+                if (current[pieceId] && (dx !== 0 || dy !== 0)) {
+                    const placed = arranged[pieceId] || after[pieceId];
+                    arranged[pieceId] = settingsManager.withHexCoordinates(settings, { ...placed, x: placed.x + dx, y: placed.y + dy });
+                }
+            });
+        });
+    }
+
+    return { arranged, crossings };
+};
 
 /**
  * Piece management service
@@ -10,24 +235,46 @@ const stateManager = require('./stateManager');
 const pieceManager = {
     /**
      * Add a piece to the game
+     * 
+     * Fails if a piece with the same ID already exists, rather than
+     * replacing it.
      * @param {Object} piece - The piece to add
      * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
-     * @returns {Promise<boolean>} Success indicator
+     * @returns {Promise<Object>} {success} or {success: false, error}
      */
     async addPiece(piece, gameId = DEFAULT_GAME_ID) {
         try {
-            const state = await stateManager.getGameState(gameId);
-            state.pieces.push(piece);
-            const result = await stateManager.saveGameState(state, null, gameId);
-            return result.success;
+            if (typeof piece.id !== 'string' || piece.id === '') {
+                return { success: false, error: 'A piece needs an ID' };
+            }
+
+            const added = await redis.updatePiecesIfUnchanged(
+                keys.piecesKey(gameId),
+                keys.metaKey(gameId),
+                new Date().toISOString(),
+                piece.id,
+                '',
+                JSON.stringify(piece)
+            );
+
+            if (!added) {
+                return { success: false, error: 'A piece with that ID already exists' };
+            }
+
+            return { success: true };
         } catch (err) {
             console.error('Error adding piece:', err);
-            return false;
+            return { success: false, error: 'Failed to add piece' };
         }
     },
 
     /**
      * Update a piece in the game
+     * 
+     * The change is committed only if the piece is unchanged since it was
+     * read; otherwise it is re-applied to the fresh piece. There is no retry
+     * limit: every conflict means another update committed, so each one
+     * gets through however many writers contend.
      * @param {string} pieceId - ID of the piece to update
      * @param {Object} updates - Properties to update
      * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
@@ -35,24 +282,690 @@ const pieceManager = {
      */
     async updatePiece(pieceId, updates, gameId = DEFAULT_GAME_ID) {
         try {
-            const state = await stateManager.getGameState(gameId);
-            const pieceIndex = state.pieces.findIndex(p => p.id === pieceId);
+            const piecesKey = keys.piecesKey(gameId);
+
+            for (;;) {
+                const pieceJson = await redis.hget(piecesKey, pieceId);
+
+                if (!pieceJson) {
+                    return false;
+                }
+
+                const piece = {
+                    ...JSON.parse(pieceJson),
+                    ...updates
+                };
+
+                const committed = await redis.updatePieceIfUnchanged(
+                    piecesKey,
+                    keys.metaKey(gameId),
+                    pieceId,
+                    pieceJson,
+                    JSON.stringify(piece),
+                    new Date().toISOString()
+                );
 
-            if (pieceIndex === -1) {
-                return false;
+                if (committed) {
+                    return true;
+                }
             }
+        } catch (err) {
+            console.error('Error updating piece:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Change several pieces in one atomic write
+     * 
+     * `mutate` receives the current pieces by ID (null for missing ones) and
+     * returns the changes to make as {pieceId: newPiece, or null to delete},
+     * or null to abort. If any of the pieces changed in the meantime, it is
+     * called again with fresh pieces, as often as it takes (see updatePiece). Pieces created by the change must be
+     * listed in pieceIds so they are checked for being absent.
+     * @param {Array<string>} pieceIds - IDs of the pieces to read and change
+     * @param {Function} mutate - Computes the changes from the current pieces
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object|null>} The committed changes, or null if aborted or failed
+     */
+    async updatePieces(pieceIds, mutate, gameId = DEFAULT_GAME_ID) {
+        try {
+            const piecesKey = keys.piecesKey(gameId);
 
-            state.pieces[pieceIndex] = {
-                ...state.pieces[pieceIndex],
-                ...updates
+            for (;;) {
+                const pieceJsons = pieceIds.length > 0 ? await redis.hmget(piecesKey, ...pieceIds) : [];
+                const expected = {};
+                const current = {};
+
+                pieceIds.forEach((pieceId, index) => {
+                    expected[pieceId] = pieceJsons[index] || '';
+                    current[pieceId] = pieceJsons[index] ? JSON.parse(pieceJsons[index]) : null;
+                });
+
+                const changes = mutate(current);
+
+                if (!changes) {
+                    return null;
+                }
+
+                const args = [];
+                for (const [pieceId, piece] of Object.entries(changes)) {
+                    args.push(pieceId, expected[pieceId] || '', piece ? JSON.stringify(piece) : '');
+                }
+
+                const committed = await redis.updatePiecesIfUnchanged(
+                    piecesKey,
+                    keys.metaKey(gameId),
+                    new Date().toISOString(),
+                    ...args
+                );
+
+                if (committed) {
+                    return changes;
+                }
+            }
+        } catch (err) {
+            console.error('Error updating pieces:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Move pieces and the pieces attached to them in one atomic write,
+     * applying the rules of the zones they enter
+     * 
+     * `move` receives the current pieces by ID and the IDs of the attached
+     * pieces, and returns the moved pieces by ID, or null to abort. Auto-arrange zones that
+     * pieces enter or leave are laid out again in the same write, leaving
+     * out pieces whose token (or an attached piece's) another player holds.
+     * @param {Array<string>} pieceIds - IDs of the pieces to move
+     * @param {Function} move - Computes the moved pieces from the current ones
+     * @param {string} gameId - The game ID
+     * @param {string|null} playerId - The moving player
+     * @returns {Promise<Object>} {success, changes, descendants, crossings}
+     *   with every changed piece by ID, or {success: false, error, pieces}
+     *   with the unmoved pieces if a zone refused them
+     */
+    async moveWithinZones(pieceIds, move, gameId, playerId) {
+        const pieces = await this.getAllPieces(gameId);
+        const descendants = collectDescendants(pieces, pieceIds);
+        const movedIds = [...pieceIds, ...descendants];
+        const settings = await settingsManager.getSettings(gameId);
+        const zones = await zoneManager.getZones(gameId);
+
+        // Pieces in auto-arrange zones may have to make room, unless another
+        // player is handling them
+        const arrangeable = zones.filter(zone => zone.rules.autoArrange);
+        const candidates = pieces
+            .filter(piece => !movedIds.includes(piece.id) && isOnBoard(piece)
+                && arrangeable.includes(zoneManager.zoneAt(zones, piece)))
+            .map(piece => piece.id);
+        const holders = await tokenService.getHolders([...candidates, ...collectDescendants(pieces, candidates)], gameId);
+        const heldByOthers = pieceId => holders[pieceId] !== null && holders[pieceId] !== playerId;
+        const bystanders = candidates
+            .filter(pieceId => ![pieceId, ...collectDescendants(pieces, [pieceId])].some(heldByOthers));
+        const readIds = [...new Set([...movedIds, ...bystanders, ...collectDescendants(pieces, bystanders)])];
+
+        let refusal = null;
+        let crossings = [];
+
+        const changes = await this.updatePieces(readIds, (current) => {
+            refusal = null;
+
+            if (pieceIds.some(pieceId => !current[pieceId])) {
+                return null;
+            }
+
+            const proposed = move(current, descendants);
+
+            if (!proposed) {
+                return null;
+            }
+
+            const moved = {};
+            Object.entries(proposed).forEach(([pieceId, piece]) => {
+                moved[pieceId] = settingsManager.withHexCoordinates(settings, piece);
+            });
+
+            const result = applyZones({ zones, settings, pieces }, current, moved);
+
+            if (result.error) {
+                refusal = { error: result.error, pieces: movedIds.filter(pieceId => current[pieceId]).map(pieceId => current[pieceId]) };
+                return null;
+            }
+
+            crossings = result.crossings;
+            return { ...moved, ...result.arranged };
+        }, gameId);
+
+        if (refusal) {
+            return { success: false, ...refusal };
+        }
+
+        if (!changes) {
+            return { success: false, error: 'Piece not found' };
+        }
+
+        return { success: true, changes, descendants, crossings };
+    },
+
+    /**
+     * Move a piece, taking the pieces attached to it along, in one atomic write
+     * @param {string} pieceId - ID of the piece to move
+     * @param {Object} position - {x, y} of the new position
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @param {string|null} [playerId=null] - The moving player, whose
+     *   tokens do not keep pieces out of auto-arrange zones' layout
+     * @returns {Promise<Object>} {success, piece, children, arranged,
+     *   crossings} with the moved attached pieces, the pieces re-arranged in
+     *   zones and the zones entered and left (see moveWithinZones), or
+     *   {success: false, error}
+     */
+    async movePiece(pieceId, { x, y }, gameId = DEFAULT_GAME_ID, playerId = null) {
+        try {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                return { success: false, error: 'Position must be finite numbers' };
+            }
+
+            const result = await this.moveWithinZones([pieceId], (current, descendants) => {
+                const piece = current[pieceId];
+
+                // Attached pieces keep their place relative to the parent
+                const dx = x - piece.x;
+                const dy = y - piece.y;
+                const moved = { [pieceId]: { ...piece, x, y } };
+
+                descendants.forEach((childId) => {
+                    const child = current[childId];
+
+                    if (child) {
+                        moved[childId] = { ...child, x: child.x + dx, y: child.y + dy };
+                    }
+                });
+                return moved;
+            }, gameId, playerId);
+
+            if (!result.success) {
+                return result;
+            }
+
+            const { changes, descendants, crossings } = result;
+            const movedIds = [pieceId, ...descendants];
+
+            return {
+                success: true,
+                piece: changes[pieceId],
+                children: descendants.filter(childId => changes[childId]).map(childId => changes[childId]),
+                arranged: Object.keys(changes).filter(id => !movedIds.includes(id)).map(id => changes[id]),
+                crossings
+            };
+        } catch (err) {
+            console.error('Error moving piece:', err);
+            return { success: false, error: 'Failed to move piece' };
+        }
+    },
+
+    /**
+     * Move several pieces by the same offset in one atomic write, taking the
+     * pieces attached to them along
+     * @param {Array<string>} pieceIds - IDs of the pieces to move
+     * @param {Object} offset - {dx, dy} to add to each position
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @param {string|null} [playerId=null] - The moving player (see movePiece)
+     * @returns {Promise<Object>} {success, pieces, arranged, crossings} with
+     *   the moved pieces in pieceIds order followed by the attached ones, the
+     *   pieces re-arranged in zones and the zones entered and left, or
+     *   {success: false, error}
+     */
+    async movePieces(pieceIds, { dx, dy }, gameId = DEFAULT_GAME_ID, playerId = null) {
+        try {
+            if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+                return { success: false, error: 'Offset must be finite numbers' };
+            }
+
+            const result = await this.moveWithinZones(pieceIds, (current, descendants) => {
+                const moved = {};
+
+                [...pieceIds, ...descendants].forEach((pieceId) => {
+                    const piece = current[pieceId];
+
+                    // An attached piece removed in the meantime stays removed
+                    if (piece) {
+                        moved[pieceId] = { ...piece, x: piece.x + dx, y: piece.y + dy };
+                    }
+                });
+                return moved;
+            }, gameId, playerId);
+
+            if (!result.success) {
+                return result;
+            }
+
+            const { changes, descendants, crossings } = result;
+            const movedIds = [...pieceIds, ...descendants];
+
+            return {
+                success: true,
+                pieces: movedIds.filter(pieceId => changes[pieceId]).map(pieceId => changes[pieceId]),
+                arranged: Object.keys(changes).filter(id => !movedIds.includes(id)).map(id => changes[id]),
+                crossings
             };
+        } catch (err) {
+            console.error('Error moving pieces:', err);
+            return { success: false, error: 'Failed to move pieces' };
+        }
+    },
+
+    /**
+     * Get the pieces on the board whose position falls in a hex
+     * 
+     * Positions are matched against the board's current hex grid, so pieces
+     * placed before the grid was set up are found too. Cards in decks and
+     * hands are not on the board.
+     * @param {number} q - Axial q
+     * @param {number} r - Axial r
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, pieces} or {success: false, error}
+     */
+    async getPiecesInHex(q, r, gameId = DEFAULT_GAME_ID) {
+        try {
+            const settings = await settingsManager.getSettings(gameId);
+
+            if (!settings.gridType.startsWith('hex-')) {
+                return { success: false, error: 'The board does not have a hex grid' };
+            }
+
+            const pieces = (await this.getAllPieces(gameId)).filter((piece) => {
+                if (piece.type === 'card' && piece.location !== 'board') {
+                    return false;
+                }
+
+                const hex = settingsManager.locateHex(settings, piece);
+                return hex !== null && hex.q === q && hex.r === r;
+            });
 
-            const result = await stateManager.saveGameState(state, null, gameId);
-            return result.success;
+            return { success: true, pieces };
         } catch (err) {
-            console.error('Error updating piece:', err);
+            console.error('Error getting pieces in hex:', err);
+            return { success: false, error: 'Failed to get pieces in hex' };
+        }
+    },
+
+    /**
+     * Attach a piece to a parent piece so it moves along with it
+     * 
+     * A piece has at most one parent; attaching it again moves it to the new
+     * parent. Parents can themselves be attached, but not to their own
+     * children.
+     * @param {string} pieceId - ID of the piece to attach
+     * @param {string} parentId - ID of the parent piece
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, piece} or {success: false, error}
+     */
+    async attachPiece(pieceId, parentId, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (pieceId === parentId) {
+                return { success: false, error: 'A piece cannot be attached to itself' };
+            }
+
+            const allPieces = await this.getAllPieces(gameId);
+            const piece = allPieces.find(p => p.id === pieceId);
+            const parent = allPieces.find(p => p.id === parentId);
+
+            if (!piece || !parent) {
+                return { success: false, error: 'Piece not found' };
+            }
+
+            if (!isGroupable(piece) || !isGroupable(parent)) {
+                return { success: false, error: 'Decks and cards off the board cannot be grouped' };
+            }
+
+            if (collectDescendants(allPieces, [pieceId]).includes(parentId)) {
+                return { success: false, error: 'A piece cannot be attached to one of its own children' };
+            }
+
+            const changes = await this.updatePieces([pieceId, parentId], (current) => {
+                if (!current[pieceId] || !current[parentId]) {
+                    return null;
+                }
+                return { [pieceId]: { ...current[pieceId], parentId } };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'Piece not found' };
+            }
+
+            return { success: true, piece: changes[pieceId] };
+        } catch (err) {
+            console.error('Error attaching piece:', err);
+            return { success: false, error: 'Failed to attach piece' };
+        }
+    },
+
+    /**
+     * Detach a piece from its parent
+     * @param {string} pieceId - ID of the piece to detach
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, piece, parentId} with the former
+     *   parent's ID, or {success: false, error}
+     */
+    async detachPiece(pieceId, gameId = DEFAULT_GAME_ID) {
+        try {
+            let formerParentId = null;
+
+            const changes = await this.updatePieces([pieceId], (current) => {
+                if (!current[pieceId] || !current[pieceId].parentId) {
+                    return null;
+                }
+
+                const { parentId, ...piece } = current[pieceId];
+                formerParentId = parentId;
+                return { [pieceId]: piece };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'Piece is not attached' };
+            }
+
+            return { success: true, piece: changes[pieceId], parentId: formerParentId };
+        } catch (err) {
+            console.error('Error detaching piece:', err);
+            return { success: false, error: 'Failed to detach piece' };
+        }
+    },
+
+    /**
+     * Validate rotation, scale and z-index values for a piece
+     * 
+     * Only the fields present are checked. Rotation is normalized to degrees
+     * in [0, 360).
+     * @param {Object} transform - {rotation, scale, zIndex}, each optional
+     * @returns {Object} {success, values} or {success: false, error}
+     */
+    normalizeTransform({ rotation, scale, zIndex } = {}) {
+        const values = {};
+
+        if (rotation !== undefined) {
+            if (typeof rotation !== 'number' || !Number.isFinite(rotation)) {
+                return { success: false, error: 'Rotation must be a number of degrees' };
+            }
+            values.rotation = ((rotation % 360) + 360) % 360;
+        }
+
+        if (scale !== undefined) {
+            if (typeof scale !== 'number' || !(scale >= MIN_SCALE && scale <= MAX_SCALE)) {
+                return { success: false, error: `Scale must be between ${MIN_SCALE} and ${MAX_SCALE}` };
+            }
+            values.scale = scale;
+        }
+
+        if (zIndex !== undefined) {
+            if (!Number.isInteger(zIndex) || Math.abs(zIndex) > MAX_Z_INDEX) {
+                return { success: false, error: `Z-index must be a whole number up to ${MAX_Z_INDEX}` };
+            }
+            values.zIndex = zIndex;
+        }
+
+        return { success: true, values };
+    },
+
+    /**
+     * Rotate and/or scale a piece
+     * @param {string} pieceId - ID of the piece to transform
+     * @param {Object} transform - {rotation, scale}, each optional
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, piece} or {success: false, error}
+     */
+    async transformPiece(pieceId, { rotation, scale }, gameId = DEFAULT_GAME_ID) {
+        try {
+            const result = this.normalizeTransform({ rotation, scale });
+
+            if (!result.success) {
+                return result;
+            }
+
+            const changes = await this.updatePieces([pieceId], (current) => {
+                if (!current[pieceId]) {
+                    return null;
+                }
+                return { [pieceId]: { ...current[pieceId], ...result.values } };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'Piece not found' };
+            }
+
+            return { success: true, piece: changes[pieceId] };
+        } catch (err) {
+            console.error('Error transforming piece:', err);
+            return { success: false, error: 'Failed to transform piece' };
+        }
+    },
+
+    /**
+     * Move a piece above or below every other piece
+     * @param {string} pieceId - ID of the piece to restack
+     * @param {boolean} toFront - True for the front, false for the back
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, piece} or {success: false, error}
+     */
+    async restackPiece(pieceId, toFront, gameId = DEFAULT_GAME_ID) {
+        try {
+            const others = (await this.getAllPieces(gameId)).filter(piece => piece.id !== pieceId);
+            const zIndexes = others.map(piece => piece.zIndex || 0);
+
+            const zIndex = toFront
+                ? Math.min(Math.max(0, ...zIndexes) + 1, MAX_Z_INDEX)
+                : Math.max(Math.min(0, ...zIndexes) - 1, -MAX_Z_INDEX);
+
+            const changes = await this.updatePieces([pieceId], (current) => {
+                if (!current[pieceId]) {
+                    return null;
+                }
+                return { [pieceId]: { ...current[pieceId], zIndex } };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'Piece not found' };
+            }
+
+            return { success: true, piece: changes[pieceId] };
+        } catch (err) {
+            console.error('Error restacking piece:', err);
+            return { success: false, error: 'Failed to restack piece' };
+        }
+    },
+
+    /**
+     * Set up a piece's faces from asset IDs
+     * 
+     * Multi-face pieces carry `faces` (ordered asset IDs) and `faceIndex`;
+     * `assetUrl` always holds the URL of the current face.
+     * @param {Object} piece - The piece to give faces to
+     * @param {Array<string>} faces - Face asset IDs, in order
+     * @param {number} [faceIndex=0] - Face to show first
+     * @returns {Promise<Object>} {success, piece} or {success: false, error}
+     */
+    async withFaces(piece, faces, faceIndex = 0) {
+        if (!Array.isArray(faces) || faces.length === 0 || faces.length > MAX_FACES
+            || !faces.every(face => typeof face === 'string')) {
+            return { success: false, error: `A piece needs 1 to ${MAX_FACES} face assets` };
+        }
+
+        if (!Number.isInteger(faceIndex) || faceIndex < 0 || faceIndex >= faces.length) {
+            return { success: false, error: 'Invalid face index' };
+        }
+
+        const urls = await assetManager.getAssetUrls(faces);
+
+        if (!urls) {
+            return { success: false, error: 'Unknown face asset' };
+        }
+
+        return {
+            success: true,
+            piece: { ...piece, faces, faceIndex, assetUrl: urls[faceIndex] }
+        };
+    },
+
+    /**
+     * Turn a multi-face piece to another face
+     * 
+     * Without options the piece moves on to its next face.
+     * @param {string} pieceId - ID of the piece to flip
+     * @param {Object} [options] - Which face to show
+     * @param {number} [options.faceIndex] - Show this face
+     * @param {boolean} [options.random] - Show a face picked at random (e.g. rolling a die)
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, piece} or {success: false, error}
+     */
+    async flipPiece(pieceId, { faceIndex, random = false } = {}, gameId = DEFAULT_GAME_ID) {
+        try {
+            const piece = await this.getPiece(pieceId, gameId);
+
+            if (!piece || !Array.isArray(piece.faces)) {
+                return { success: false, error: 'Piece has no faces to flip' };
+            }
+
+            // Faces never change after creation, so their URLs can be looked up once
+            const urls = await assetManager.getAssetUrls(piece.faces);
+            let invalidIndex = false;
+
+            const changes = await this.updatePieces([pieceId], (current) => {
+                const fresh = current[pieceId];
+
+                if (!fresh) {
+                    return null;
+                }
+
+                let next;
+                if (random) {
+                    next = crypto.randomInt(fresh.faces.length);
+                } else if (faceIndex !== undefined) {
+                    if (!Number.isInteger(faceIndex) || faceIndex < 0 || faceIndex >= fresh.faces.length) {
+                        invalidIndex = true;
+                        return null;
+                    }
+                    next = faceIndex;
+                } else {
+                    next = (fresh.faceIndex + 1) % fresh.faces.length;
+                }
+
+                return {
+                    [pieceId]: {
+                        ...fresh,
+                        faceIndex: next,
+                        // Keep the last known image if the asset has since been removed
+                        assetUrl: urls ? urls[next] : fresh.assetUrl
+                    }
+                };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: invalidIndex ? 'Invalid face index' : 'Failed to flip piece' };
+            }
+
+            return { success: true, piece: changes[pieceId] };
+        } catch (err) {
+            console.error('Error flipping piece:', err);
+            return { success: false, error: 'Failed to flip piece' };
+        }
+    },
+
+    /**
+     * Validate a piece's visibility rule
+     * @param {Object} rule - {visibility, visibleTo}; visibleTo lists the
+     *   player IDs for the 'players' mode
+     * @returns {Object} {success, values} or {success: false, error}
+     */
+    normalizeVisibility({ visibility = 'everyone', visibleTo } = {}) {
+        if (!VISIBILITY_MODES.includes(visibility)) {
+            return { success: false, error: `Visibility must be one of: ${VISIBILITY_MODES.join(', ')}` };
+        }
+
+        if (visibility !== 'players') {
+            return { success: true, values: { visibility } };
+        }
+
+        if (!Array.isArray(visibleTo) || visibleTo.length > MAX_VISIBLE_TO || !visibleTo.every(id => typeof id === 'string' && id)) {
+            return { success: false, error: `Visible-to must list up to ${MAX_VISIBLE_TO} player IDs` };
+        }
+
+        return { success: true, values: { visibility, visibleTo: [...new Set(visibleTo)] } };
+    },
+
+    /**
+     * Check whether players can take a piece's token
+     * 
+     * Cards in a deck or a hand only change by being drawn or played, so
+     * only pieces on the board can be locked.
+     * @param {Object} piece - The piece
+     * @returns {boolean} True if the piece can be locked
+     */
+    isLockable(piece) {
+        return isOnBoard(piece);
+    },
+
+    /**
+     * Check whether a player may see a piece
+     * 
+     * Owners always see their own pieces. Pieces without a visibility rule
+     * are seen by everyone.
+     * @param {Object} piece - The piece
+     * @param {string|null} playerId - The viewing player (null for a viewer
+     *   who is no player, such as an HTTP client)
+     * @returns {boolean} True if visible
+     */
+    canSeePiece(piece, playerId) {
+        const visibility = piece.visibility || 'everyone';
+
+        if (visibility === 'everyone') {
+            return true;
+        }
+
+        if (!playerId) {
             return false;
         }
+
+        return piece.owner === playerId
+            || (visibility === 'players' && piece.visibleTo.includes(playerId));
+    },
+
+    /**
+     * Show a piece to everyone
+     * @param {string} pieceId - ID of the piece to reveal
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, piece} or {success: false, error}
+     */
+    async revealPiece(pieceId, gameId = DEFAULT_GAME_ID) {
+        try {
+            let alreadyVisible = false;
+
+            const changes = await this.updatePieces([pieceId], (current) => {
+                const piece = current[pieceId];
+
+                if (!piece) {
+                    return null;
+                }
+
+                if ((piece.visibility || 'everyone') === 'everyone') {
+                    alreadyVisible = true;
+                    return null;
+                }
+
+                const { visibleTo, ...revealed } = piece;
+                return { [pieceId]: { ...revealed, visibility: 'everyone' } };
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: alreadyVisible ? 'Piece is already visible to everyone' : 'Piece not found' };
+            }
+
+            return { success: true, piece: changes[pieceId] };
+        } catch (err) {
+            console.error('Error revealing piece:', err);
+            return { success: false, error: 'Failed to reveal piece' };
+        }
     },
 
     /**
@@ -63,16 +976,83 @@ const pieceManager = {
      */
     async removePiece(pieceId, gameId = DEFAULT_GAME_ID) {
         try {
-            const state = await stateManager.getGameState(gameId);
-            state.pieces = state.pieces.filter(p => p.id !== pieceId);
-            const result = await stateManager.saveGameState(state, null, gameId);
-            return result.success;
+            const transaction = redis.multi().hdel(keys.piecesKey(gameId), pieceId);
+            await markModified(transaction, gameId).exec();
+            return true;
         } catch (err) {
             console.error('Error removing piece:', err);
             return false;
         }
     },
+
+    /**
+     * Remove a piece along with the pieces attached to it, or leave them on
+     * the board detached, in one atomic write
+     * @param {string} pieceId - ID of the piece to remove
+     * @param {Object} [options]
+     * @param {boolean} [options.cascade=false] - Also remove the attached
+     *   pieces (at every depth) instead of detaching the direct children
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {success, removed, detached} with piece IDs,
+     *   or {success: false, error}
+     */
+    async removePieceWithChildren(pieceId, { cascade = false } = {}, gameId = DEFAULT_GAME_ID) {
+        try {
+            const allPieces = await this.getAllPieces(gameId);
+            const attachedIds = cascade
+                ? collectDescendants(allPieces, [pieceId])
+                : allPieces.filter(piece => piece.parentId === pieceId).map(piece => piece.id);
+
+            const changes = await this.updatePieces([pieceId, ...attachedIds], (current) => {
+                if (!current[pieceId]) {
+                    return null;
+                }
+
+                const result = { [pieceId]: null };
+                attachedIds.forEach((attachedId) => {
+                    const attached = current[attachedId];
+
+                    if (!attached) {
+                        return;
+                    }
+
+                    if (cascade) {
+                        result[attachedId] = null;
+                    } else if (attached.parentId === pieceId) {
+                        const { parentId, ...detached } = attached;
+                        result[attachedId] = detached;
+                    }
+                });
+                return result;
+            }, gameId);
+
+            if (!changes) {
+                return { success: false, error: 'Piece not found' };
+            }
+
+            const changedIds = Object.keys(changes);
+            return {
+                success: true,
+                removed: changedIds.filter(id => !changes[id]),
+                detached: changedIds.filter(id => changes[id])
+            };
+        } catch (err) {
+            console.error('Error removing piece:', err);
+            return { success: false, error: 'Failed to remove piece' };
+        }
+    },
     
+    /**
+     * Get the pieces attached to a set of pieces, directly or through other
+     * attached pieces
+     * @param {Array<string>} pieceIds - IDs of the parent pieces
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Array<string>>} IDs of the attached pieces, nearest first
+     */
+    async getDescendants(pieceIds, gameId = DEFAULT_GAME_ID) {
+        return collectDescendants(await this.getAllPieces(gameId), pieceIds);
+    },
+
     /**
      * Get a piece by ID
      * @param {string} pieceId - ID of the piece to find
@@ -81,8 +1061,8 @@ const pieceManager = {
      */
     async getPiece(pieceId, gameId = DEFAULT_GAME_ID) {
         try {
-            const state = await stateManager.getGameState(gameId);
-            return state.pieces.find(p => p.id === pieceId) || null;
+            const pieceJson = await redis.hget(keys.piecesKey(gameId), pieceId);
+            return pieceJson ? JSON.parse(pieceJson) : null;
         } catch (err) {
             console.error('Error getting piece:', err);
             return null;
@@ -105,4 +1085,4 @@ const pieceManager = {
     }
 };
 
-module.exports = pieceManager;
\ No newline at end of file
+module.exports = pieceManager;
@@ -0,0 +1,163 @@
+/**
+ * Presence Manager - Tracks the players connected to each game
+ * 
+ * The roster is a per-game hash with one JSON-encoded field per player:
+ * display name, cursor/label color and when the player was last active.
+ */
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+
+// Colors handed out to players in join order
+const PLAYER_COLORS = [
+    '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4',
+    '#f032e6', '#9a6324', '#469990', '#808000', '#000075', '#e6a800'
+];
+
+/**
+ * Parse the roster hash into player objects
+ * @param {Object} entries - Hash fields from HGETALL
+ * @returns {Array} Players ordered by join time
+ */
+const parseRoster = (entries) => Object.values(entries)
+    .map(entry => JSON.parse(entry))
+    .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+
+/**
+ * Pick the first color no other player in the game is using
+ * @param {Array} players - Current roster
+ * @returns {string} Color
+ */
+const pickColor = (players) => {
+    const used = new Set(players.map(player => player.color));
+    return PLAYER_COLORS.find(color => !used.has(color))
+        || PLAYER_COLORS[players.length % PLAYER_COLORS.length];
+};
+
+/**
+ * Presence management service
+ */
+const presenceManager = {
+    /**
+     * Add a player to a game's roster, or refresh them if already present
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player ID
+     * @param {string} name - Display name
+     * @returns {Promise<Object|null>} {player, joined} where joined is false if the player was already listed
+     */
+    async addPlayer(gameId, playerId, name) {
+        try {
+            const playersKey = keys.playersKey(gameId);
+            const now = new Date().toISOString();
+            const existing = await redis.hget(playersKey, playerId);
+
+            if (existing) {
+                const player = { ...JSON.parse(existing), name, lastSeen: now };
+                await redis.hset(playersKey, playerId, JSON.stringify(player));
+                return { player, joined: false };
+            }
+
+            const players = parseRoster(await redis.hgetall(playersKey));
+            const player = {
+                playerId,
+                name,
+                color: pickColor(players),
+                joinedAt: now,
+                lastSeen: now
+            };
+
+            // Another tab of the same player may have joined in the meantime
+            if (!await redis.hsetnx(playersKey, playerId, JSON.stringify(player))) {
+                return await this.addPlayer(gameId, playerId, name);
+            }
+
+            return { player, joined: true };
+        } catch (err) {
+            console.error('Error adding player to roster:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Update a listed player and mark them as active
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player ID
+     * @param {Object} [updates] - Fields to change (e.g. name)
+     * @returns {Promise<Object|null>} Updated player or null if not listed
+     */
+    async updatePlayer(gameId, playerId, updates = {}) {
+        try {
+            const playersKey = keys.playersKey(gameId);
+            const existing = await redis.hget(playersKey, playerId);
+
+            if (!existing) {
+                return null;
+            }
+
+            const player = {
+                ...JSON.parse(existing),
+                ...updates,
+                lastSeen: new Date().toISOString()
+            };
+
+            await redis.hset(playersKey, playerId, JSON.stringify(player));
+            return player;
+        } catch (err) {
+            console.error('Error updating player in roster:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Remove a player from a game's roster
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player ID
+     * @returns {Promise<boolean>} True if the player was listed
+     */
+    async removePlayer(gameId, playerId) {
+        try {
+            return await redis.hdel(keys.playersKey(gameId), playerId) > 0;
+        } catch (err) {
+            console.error('Error removing player from roster:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Get everyone listed in a game
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Array>} Players ordered by join time
+     */
+    async getPlayers(gameId) {
+        try {
+            return parseRoster(await redis.hgetall(keys.playersKey(gameId)));
+        } catch (err) {
+            console.error('Error getting players:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Drop players that are no longer connected (e.g. after a server restart)
+     * @param {string} gameId - The game ID
+     * @param {Array<string>} connectedIds - Players with a live connection to the game
+     * @returns {Promise<Array<string>>} IDs of the removed players
+     */
+    async prunePlayers(gameId, connectedIds) {
+        try {
+            const playersKey = keys.playersKey(gameId);
+            const connected = new Set(connectedIds);
+            const stale = (await redis.hkeys(playersKey)).filter(playerId => !connected.has(playerId));
+
+            if (stale.length > 0) {
+                await redis.hdel(playersKey, ...stale);
+            }
+
+            return stale;
+        } catch (err) {
+            console.error('Error pruning players:', err);
+            return [];
+        }
+    }
+};
+
+module.exports = presenceManager;
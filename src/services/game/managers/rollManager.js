@@ -0,0 +1,53 @@
+/**
+ * Roll Manager - Keeps each game's dice roll log
+ * 
+ * Rolls are stored newest first in a capped list.
+ */
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+const config = require('../../../config');
+
+/**
+ * Roll log service
+ */
+const rollManager = {
+    /**
+     * Record a roll, dropping the oldest beyond the log length
+     * @param {string} gameId - The game ID
+     * @param {Object} roll - The roll result
+     * @returns {Promise<boolean>} Success indicator
+     */
+    async addRoll(gameId, roll) {
+        try {
+            const rollsKey = keys.rollsKey(gameId);
+
+            await redis.multi()
+                .lpush(rollsKey, JSON.stringify(roll))
+                .ltrim(rollsKey, 0, config.dice.logLength - 1)
+                .exec();
+
+            return true;
+        } catch (err) {
+            console.error('Error recording roll:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Get a game's most recent rolls
+     * @param {string} gameId - The game ID
+     * @param {number} [limit=50] - Maximum number of rolls to return
+     * @returns {Promise<Array>} Rolls, newest first
+     */
+    async getRolls(gameId, limit = 50) {
+        try {
+            const entries = await redis.lrange(keys.rollsKey(gameId), 0, limit - 1);
+            return entries.map(entry => JSON.parse(entry));
+        } catch (err) {
+            console.error('Error getting rolls:', err);
+            return [];
+        }
+    }
+};
+
+module.exports = rollManager;
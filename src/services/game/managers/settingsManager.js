@@ -0,0 +1,230 @@
+/**
+ * Settings Manager - Handles each game's board settings
+ *
+ * Settings are stored in a hash next to the game metadata; fields that were
+ * never set fall back to the defaults in `config.board`.
+ */
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+const assetManager = require('./assetManager');
+const config = require('../../../config');
+const { hexToPixel, pixelToHex } = require('../../../utils/hex');
+
+// Allowed range of the board's width and height (px)
+const MIN_BOARD_SIZE = 100;
+const MAX_BOARD_SIZE = 10000;
+
+// Allowed range of the grid cell size (px)
+const MIN_GRID_SIZE = 5;
+const MAX_GRID_SIZE = 1000;
+
+// Grid types the board can draw and snap to
+const GRID_TYPES = ['none', 'square', 'hex-pointy', 'hex-flat'];
+
+// Hex orientation of each hex grid type
+const HEX_ORIENTATIONS = {
+    'hex-pointy': 'pointy',
+    'hex-flat': 'flat'
+};
+
+/**
+ * Convert a stored settings hash into settings, filling in defaults
+ * @param {Object} stored - Fields from Redis (all strings)
+ * @returns {Object} Board settings
+ */
+const toSettings = (stored = {}) => ({
+    width: parseInt(stored.width) || config.board.width,
+    height: parseInt(stored.height) || config.board.height,
+    backgroundAssetId: stored.background_asset_id || null,
+    backgroundUrl: stored.background_url || null,
+    gridSize: parseInt(stored.grid_size) || config.board.gridSize,
+    gridType: GRID_TYPES.includes(stored.grid_type) ? stored.grid_type : 'none',
+    snap: stored.snap === '1'
+});
+
+/**
+ * Check an integer setting against its allowed range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} True if valid
+ */
+const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Round a point to hundredths of a pixel
+ * @param {Object} point - {x, y}
+ * @returns {Object} {x, y}
+ */
+const roundPoint = ({ x, y }) => ({
+    x: Math.round(x * 100) / 100,
+    y: Math.round(y * 100) / 100
+});
+
+/**
+ * Board settings service
+ */
+const settingsManager = {
+    /**
+     * Get a game's board settings
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Object>} {width, height, backgroundAssetId,
+     *   backgroundUrl, gridSize, gridType, snap}
+     */
+    async getSettings(gameId) {
+        try {
+            return toSettings(await redis.hgetall(keys.settingsKey(gameId)));
+        } catch (err) {
+            console.error('Error getting board settings:', err);
+            return toSettings();
+        }
+    },
+
+    /**
+     * Change some of a game's board settings
+     *
+     * Only the fields present are changed. `backgroundAssetId` must name an
+     * uploaded asset, or be null to remove the background.
+     * @param {string} gameId - The game ID
+     * @param {Object} updates - {width, height, backgroundAssetId, gridSize,
+     *   gridType, snap}, each optional
+     * @returns {Promise<Object>} {success, settings} or {success: false, error}
+     */
+    async updateSettings(gameId, updates = {}) {
+        try {
+            const { width, height, backgroundAssetId, gridSize, gridType, snap } = updates;
+            const fields = {};
+            const cleared = [];
+
+            if ([width, height].some(size => size !== undefined && !isIntegerInRange(size, MIN_BOARD_SIZE, MAX_BOARD_SIZE))) {
+                return { success: false, error: `Board width and height must be whole numbers from ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}` };
+            }
+            if (width !== undefined) fields.width = width;
+            if (height !== undefined) fields.height = height;
+
+            if (gridSize !== undefined) {
+                if (!isIntegerInRange(gridSize, MIN_GRID_SIZE, MAX_GRID_SIZE)) {
+                    return { success: false, error: `Grid size must be a whole number from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}` };
+                }
+                fields.grid_size = gridSize;
+            }
+
+            if (gridType !== undefined) {
+                if (!GRID_TYPES.includes(gridType)) {
+                    return { success: false, error: `Grid type must be one of: ${GRID_TYPES.join(', ')}` };
+                }
+                fields.grid_type = gridType;
+            }
+
+            if (snap !== undefined) {
+                if (typeof snap !== 'boolean') {
+                    return { success: false, error: 'Snap must be true or false' };
+                }
+                fields.snap = snap ? '1' : '0';
+            }
+
+            if (backgroundAssetId === null) {
+                cleared.push('background_asset_id', 'background_url');
+            } else if (backgroundAssetId !== undefined) {
+                const urls = typeof backgroundAssetId === 'string'
+                    ? await assetManager.getAssetUrls([backgroundAssetId])
+                    : null;
+
+                if (!urls) {
+                    return { success: false, error: 'Unknown background asset' };
+                }
+
+                fields.background_asset_id = backgroundAssetId;
+                fields.background_url = urls[0];
+            }
+
+            if (Object.keys(fields).length === 0 && cleared.length === 0) {
+                return { success: false, error: 'No settings to update' };
+            }
+
+            const settingsKey = keys.settingsKey(gameId);
+            const transaction = redis.multi();
+
+            if (Object.keys(fields).length > 0) {
+                transaction.hset(settingsKey, fields);
+            }
+            if (cleared.length > 0) {
+                transaction.hdel(settingsKey, ...cleared);
+            }
+
+            await transaction.exec();
+
+            return { success: true, settings: await this.getSettings(gameId) };
+        } catch (err) {
+            console.error('Error updating board settings:', err);
+            return { success: false, error: 'Failed to update board settings' };
+        }
+    },
+
+    /**
+     * Snap a position to the board grid when snapping is on
+     *
+     * Square grids snap to the nearest grid corner, hex grids to the nearest
+     * hex center. On hex grids an axial hex can be given instead of a point;
+     * it is placed at the hex center whether or not snapping is on.
+     * @param {Object} settings - The game's board settings
+     * @param {Object} position - {x, y}, or {q, r} on hex grids
+     * @returns {Object} {x, y}, unchanged when snapping is off or the
+     *   position is not numeric
+     */
+    snapPosition(settings, { x, y, q, r }) {
+        const orientation = HEX_ORIENTATIONS[settings.gridType];
+
+        if (orientation && Number.isInteger(q) && Number.isInteger(r)) {
+            return roundPoint(hexToPixel(q, r, settings.gridSize, orientation));
+        }
+
+        if (!settings.snap || settings.gridType === 'none' || !Number.isFinite(x) || !Number.isFinite(y)) {
+            return { x, y };
+        }
+
+        if (orientation) {
+            const hex = pixelToHex(x, y, settings.gridSize, orientation);
+            return roundPoint(hexToPixel(hex.q, hex.r, settings.gridSize, orientation));
+        }
+
+        const size = settings.gridSize;
+        return {
+            x: Math.round(x / size) * size,
+            y: Math.round(y / size) * size
+        };
+    },
+
+    /**
+     * Find the hex of a position on a hex board
+     * @param {Object} settings - The game's board settings
+     * @param {Object} position - {x, y}
+     * @returns {Object|null} Axial {q, r}, or null if the board has no hex
+     *   grid or the position is not numeric
+     */
+    locateHex(settings, { x, y }) {
+        const orientation = HEX_ORIENTATIONS[settings.gridType];
+
+        if (!orientation || !Number.isFinite(x) || !Number.isFinite(y)) {
+            return null;
+        }
+
+        return pixelToHex(x, y, settings.gridSize, orientation);
+    },
+
+    /**
+     * Record a piece's axial coordinates on hex boards, and drop them
+     * otherwise
+     * @param {Object} settings - The game's board settings
+     * @param {Object} piece - The piece
+     * @returns {Object} The piece with or without q and r
+     */
+    withHexCoordinates(settings, piece) {
+        const { q, r, ...rest } = piece;
+        const hex = this.locateHex(settings, piece);
+
+        return hex ? { ...rest, q: hex.q, r: hex.r } : rest;
+    }
+};
+
+module.exports = settingsManager;
@@ -1,8 +1,48 @@
 /**
  * State Manager - Handles game state persistence and retrieval
+ * 
+ * The live board is kept in a per-game hash (one field per piece) that piece
+ * changes update in place. Snapshots in the states sorted set are only
+ * written when a game is saved, loaded or autosaved.
  */
 const redis = require('../../../utils/redisClient');
 const { DEFAULT_GAME_ID, keys } = require('../constants/redisKeys');
+const tokenService = require('../../tokenService');
+const turnManager = require('./turnManager');
+const clockManager = require('./clockManager');
+const { selectStatesToPrune } = require('../../../utils/retention');
+
+/**
+ * Build a snapshot record for the states sorted set
+ * @param {Object} state - The game state
+ * @param {string|null} stateName - Optional name for the state
+ * @param {boolean} isManual - Whether this is a manual save
+ * @returns {Object} Snapshot with its ID, timestamp and serialized record
+ */
+const createSnapshot = (state, stateName, isManual) => {
+    const timestamp = Date.now();
+
+    // Automatic states get a random suffix so saves within the same
+    // millisecond never share an ID
+    const stateId = stateName || `state-${timestamp}-${Math.random().toString(36).slice(2, 8)}`;
+    const savedAt = new Date(timestamp).toISOString();
+
+    return {
+        stateId,
+        timestamp,
+        savedAt,
+        record: JSON.stringify({
+            id: stateId,
+            name: stateName,
+            data: state,
+            savedAt,
+            isManual
+        })
+    };
+};
+
+// Number of snapshots fetched per round trip when paging through states
+const STATES_PAGE_SIZE = 50;
 
 /**
  * State management service
@@ -23,52 +63,32 @@ const stateManager = {
     },
 
     /**
-     * Save the game state
+     * Store a state snapshot and mark it as the current one
      * @param {Object} state - The game state to save
      * @param {string} [stateName] - Optional name for the state
-     * @param {boolean} [isManual=false] - Whether this is a manual save
      * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @param {boolean} [isManual=false] - Whether this is a manual save
      * @returns {Promise<Object>} Result with stateId
      */
     async saveGameState(state, stateName = null, gameId = DEFAULT_GAME_ID, isManual = false,) {
         try {
-            // Generate timestamp and state ID
-            const timestamp = Date.now();
-            const stateId = stateName || `state-${timestamp}`;
+            const snapshot = createSnapshot(state, stateName, isManual);
 
             // Store the state in the sorted set
             const stateKey = keys.statesKey(gameId);
-            await redis.zadd(stateKey, timestamp, JSON.stringify({
-                id: stateId,
-                name: stateName,
-                data: state,
-                savedAt: new Date(timestamp).toISOString(),
-                isManual: isManual
-
-            }));
+            await redis.zadd(stateKey, snapshot.timestamp, snapshot.record);
 
             // Update current state pointer
-            await redis.set(keys.currentKey(gameId), stateId);
+            await redis.set(keys.currentKey(gameId), snapshot.stateId);
 
-            // Update game metadata if not exists
-            const metaKey = keys.metaKey(gameId);
-            const exists = await redis.exists(metaKey);
-
-            if (!exists) {
-                await redis.hset(metaKey, {
-                    'created_at': new Date().toISOString(),
-                    'name': gameId === DEFAULT_GAME_ID ? 'Default Game' : `Game ${gameId}`
-                });
-            }
-
-            await redis.hset(metaKey, 'last_modified', new Date().toISOString());
+            await this.touchGameMeta(gameId);
 
             return {
                 success: true,
-                stateId,
-                timestamp,
-                savedAt: new Date(timestamp).toISOString(),
-                name: stateName || stateId,
+                stateId: snapshot.stateId,
+                timestamp: snapshot.timestamp,
+                savedAt: snapshot.savedAt,
+                name: stateName || snapshot.stateId,
                 isManual
             };
         } catch (err) {
@@ -77,6 +97,70 @@ const stateManager = {
         }
     },
 
+    /**
+     * Snapshot the live board
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @param {string} [stateName] - Optional name for the state
+     * @param {boolean} [isManual=false] - Whether this is a manual save
+     * @returns {Promise<Object>} Result with stateId
+     */
+    async saveSnapshot(gameId = DEFAULT_GAME_ID, stateName = null, isManual = false) {
+        try {
+            const state = await this.getCurrentState(gameId);
+
+            return await this.saveGameState({
+                ...state,
+                savedAt: new Date().toISOString()
+            }, stateName, gameId, isManual);
+        } catch (err) {
+            console.error('Error saving game snapshot:', err);
+            return { success: false, error: err.message };
+        }
+    },
+
+    /**
+     * Autosave the live board if it changed since the last autosave
+     * @param {string} gameId - The game ID
+     * @returns {Promise<boolean>} True if a snapshot was written
+     */
+    async autosaveGame(gameId) {
+        try {
+            // Clear the flag before reading the board so changes made while
+            // the snapshot is written are picked up by the next run
+            const changed = await redis.hdel(keys.metaKey(gameId), 'unsaved_changes');
+
+            if (!changed) {
+                return false;
+            }
+
+            const result = await this.saveSnapshot(gameId);
+            return result.success;
+        } catch (err) {
+            console.error(`Error autosaving game ${gameId}:`, err);
+            return false;
+        }
+    },
+
+    /**
+     * Create game metadata if missing and bump its last_modified time
+     * @param {string} gameId - The game ID
+     * @returns {Promise<void>}
+     */
+    async touchGameMeta(gameId) {
+        const metaKey = keys.metaKey(gameId);
+        const exists = await redis.exists(metaKey);
+
+        if (!exists) {
+            await redis.hset(metaKey, {
+                'created_at': new Date().toISOString(),
+                'name': gameId === DEFAULT_GAME_ID ? 'Default Game' : `Game ${gameId}`,
+                'live_state': '1'
+            });
+        }
+
+        await redis.hset(metaKey, 'last_modified', new Date().toISOString());
+    },
+
     /**
      * Get all saved states for a game
      * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
@@ -86,20 +170,33 @@ const stateManager = {
      */
     async getGameStates(gameId = DEFAULT_GAME_ID, limit = 10, manualOnly = false) {
         try {
-            // Get all states in reverse chronological order
             const stateKey = keys.statesKey(gameId);
-            const states = await redis.zrevrange(stateKey, 0, -1); // Get all states
 
-            // Parse and filter them
-            let parsedStates = states.map(state => JSON.parse(state));
+            if (!manualOnly) {
+                const states = await redis.zrevrange(stateKey, 0, limit - 1);
+                return states.map(state => JSON.parse(state));
+            }
+
+            // Page through states in reverse chronological order until
+            // enough manual saves are found
+            const manualStates = [];
+            let start = 0;
+
+            while (manualStates.length < limit) {
+                const page = await redis.zrevrange(stateKey, start, start + STATES_PAGE_SIZE - 1);
+
+                page.map(state => JSON.parse(state))
+                    .filter(state => state.isManual === true)
+                    .forEach(state => manualStates.push(state));
 
-            // Apply manual-only filter if requested
-            if (manualOnly) {
-                parsedStates = parsedStates.filter(state => state.isManual === true);
+                if (page.length < STATES_PAGE_SIZE) {
+                    break;
+                }
+
+                start += STATES_PAGE_SIZE;
             }
 
-            // Apply limit
-            return parsedStates.slice(0, limit);
+            return manualStates.slice(0, limit);
         } catch (err) {
             console.error('Error getting game states:', err);
             return [];
@@ -107,35 +204,137 @@ const stateManager = {
     },
 
     /**
-     * Get the current state of a game
+     * Remove the snapshots of a game that the retention policy does not keep
+     * @param {string} gameId - The game ID
+     * @param {Object} policy - Retention policy from config
+     * @param {number} [now=Date.now()] - Reference time in milliseconds
+     * @returns {Promise<Object>} Number of states removed and bytes reclaimed
+     */
+    async compactStates(gameId, policy, now = Date.now()) {
+        try {
+            const stateKey = keys.statesKey(gameId);
+            const [entries, currentStateId] = await Promise.all([
+                redis.zrevrange(stateKey, 0, -1, 'WITHSCORES'),
+                redis.get(keys.currentKey(gameId))
+            ]);
+
+            const states = [];
+            for (let i = 0; i < entries.length; i += 2) {
+                states.push({
+                    ...JSON.parse(entries[i]),
+                    member: entries[i],
+                    score: Number(entries[i + 1])
+                });
+            }
+
+            const pruned = selectStatesToPrune(states, policy, currentStateId, now);
+
+            if (pruned.length > 0) {
+                await redis.zrem(stateKey, ...pruned.map(state => state.member));
+            }
+
+            return {
+                statesRemoved: pruned.length,
+                bytesReclaimed: pruned.reduce((total, state) => total + Buffer.byteLength(state.member), 0)
+            };
+        } catch (err) {
+            console.error(`Error compacting states for game ${gameId}:`, err);
+            return { statesRemoved: 0, bytesReclaimed: 0 };
+        }
+    },
+
+    /**
+     * Get the live state of a game: its pieces, turns and clocks
      * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
      * @returns {Promise<Object>} Game state
      */
     async getCurrentState(gameId = DEFAULT_GAME_ID) {
         try {
-            // Get current state ID
-            const currentStateId = await redis.get(keys.currentKey(gameId));
+            const fields = await redis.hgetall(keys.piecesKey(gameId));
+            const pieces = Object.values(fields)
+                .map(piece => JSON.parse(piece))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
 
-            if (!currentStateId) {
-                return { pieces: [] }; // Default empty state
+            return {
+                pieces,
+                turns: await turnManager.getTurns(gameId),
+                clocks: await clockManager.getClocks(gameId)
+            };
+        } catch (err) {
+            console.error('Error getting current game state:', err);
+            return { pieces: [] };
+        }
+    },
+
+    /**
+     * Get the data of a stored state by its ID
+     * @param {string} stateId - The state ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object|null>} Game state or null if not found
+     */
+    async getStateData(stateId, gameId = DEFAULT_GAME_ID) {
+        // Find this state in the sorted set, newest first
+        const stateKey = keys.statesKey(gameId);
+        const states = await redis.zrevrange(stateKey, 0, -1);
+
+        for (const stateJson of states) {
+            const state = JSON.parse(stateJson);
+            if (state.id === stateId) {
+                return state.data;
             }
+        }
 
-            // Find this state in the sorted set
-            const stateKey = keys.statesKey(gameId);
-            const states = await redis.zrevrange(stateKey, 0, -1);
+        return null;
+    },
 
-            // Parse states and find the current one
-            for (const stateJson of states) {
-                const state = JSON.parse(stateJson);
-                if (state.id === currentStateId) {
-                    return state.data;
-                }
+    /**
+     * Replace the live board with the given pieces
+     * @param {string} gameId - The game ID
+     * @param {Array} pieces - Pieces to put on the board
+     * @returns {Promise<void>}
+     */
+    async replaceLiveState(gameId, pieces) {
+        const piecesKey = keys.piecesKey(gameId);
+        const transaction = redis.multi().del(piecesKey);
+
+        if (pieces.length > 0) {
+            const fields = {};
+            pieces.forEach(piece => {
+                fields[piece.id] = JSON.stringify(piece);
+            });
+            transaction.hset(piecesKey, fields);
+        }
+
+        await transaction.exec();
+    },
+
+    /**
+     * Seed the live board of a game created before live state existed from
+     * its current snapshot. Runs at startup; the live_state flag is claimed
+     * first, so only one server migrates a game.
+     * @param {string} gameId - The game ID
+     * @returns {Promise<boolean>} True if this call migrated the game
+     */
+    async migrateLegacyState(gameId) {
+        const metaKey = keys.metaKey(gameId);
+
+        if (!await redis.hsetnx(metaKey, 'live_state', '1')) {
+            return false;
+        }
+
+        try {
+            const currentStateId = await redis.get(keys.currentKey(gameId));
+            const state = currentStateId ? await this.getStateData(currentStateId, gameId) : null;
+
+            if (state && Array.isArray(state.pieces)) {
+                await this.replaceLiveState(gameId, state.pieces);
             }
 
-            return { pieces: [] }; // Fallback if not found
+            return true;
         } catch (err) {
-            console.error('Error getting current game state:', err);
-            return { pieces: [] };
+            // Leave the game for the next startup to try again
+            await redis.hdel(metaKey, 'live_state');
+            throw err;
         }
     },
 
@@ -147,12 +346,43 @@ const stateManager = {
      */
     async switchToState(stateId, gameId = DEFAULT_GAME_ID) {
         try {
+            const state = await this.getStateData(stateId, gameId);
+
+            if (!state) {
+                return false;
+            }
+
+            // Load the saved pieces onto the live board
+            const replacedIds = await redis.hkeys(keys.piecesKey(gameId));
+            await this.replaceLiveState(gameId, state.pieces || []);
+
+            // States saved before turns were tracked leave the turns alone
+            if (state.turns) {
+                await turnManager.restoreTurns(gameId, state.turns);
+            }
+
+            // In strict turn mode only the current player keeps their tokens,
+            // as at the end of a turn
+            const taker = await turnManager.getTokenTaker(gameId);
+
+            if (taker) {
+                const pieceIds = [...new Set([...replacedIds, ...(state.pieces || []).map(piece => piece.id)])];
+                await tokenService.releaseTokensExcept(pieceIds, taker, gameId);
+            }
+
+            // Clocks and timers never run on after a load
+            await clockManager.restoreClocks(gameId, state.clocks, state.savedAt);
+
             // Set the current state pointer to the specified state
             await redis.set(keys.currentKey(gameId), stateId);
 
-            // Update last_modified in metadata
+            // Update metadata; the live board now matches a snapshot
             const metaKey = keys.metaKey(gameId);
-            await redis.hset(metaKey, 'last_modified', new Date().toISOString());
+            await redis.hset(metaKey, {
+                'last_modified': new Date().toISOString(),
+                'live_state': '1'
+            });
+            await redis.hdel(metaKey, 'unsaved_changes');
 
             return true;
         } catch (err) {
@@ -162,4 +392,4 @@ const stateManager = {
     }
 };
 
-module.exports = stateManager;
\ No newline at end of file
+module.exports = stateManager;
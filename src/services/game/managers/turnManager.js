@@ -0,0 +1,244 @@
+/**
+ * Turn Manager - Tracks whose turn it is in each game
+ *
+ * A game's turns are one JSON-encoded value: the players in turn order, the
+ * current player, the round number and whether strict mode is on. In strict
+ * mode only the current player can take piece tokens.
+ */
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+
+// Maximum attempts for an optimistic turn update before giving up
+const MAX_UPDATE_ATTEMPTS = 10;
+
+// Most players a turn order can hold
+const MAX_TURN_PLAYERS = 50;
+
+/**
+ * Replace a game's turns only if they have not changed since they were
+ * read. Returns 1 on commit, 0 on conflict, -1 if the game was deleted (a
+ * late write must not bring its metadata back).
+ *
+ * KEYS[1] - turns key, KEYS[2] - game metadata
+ * ARGV[1] - expected turns JSON ('' if unset), ARGV[2] - new turns JSON,
+ * ARGV[3] - modification time
+ */
+redis.defineCommand('replaceTurnsIfUnchanged', {
+    numberOfKeys: 2,
+    lua: `
+        if redis.call('EXISTS', KEYS[2]) == 0 then
+            return -1
+        end
+        if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then
+            return 0
+        end
+        redis.call('SET', KEYS[1], ARGV[2])
+        redis.call('HSET', KEYS[2], 'last_modified', ARGV[3], 'unsaved_changes', '1')
+        return 1
+    `
+});
+
+/**
+ * Turns of a game nobody has set up
+ * @returns {Object} {order, current, round, strict}
+ */
+const noTurns = () => ({ order: [], current: null, round: 0, strict: false });
+
+/**
+ * Parse stored turns, filling in defaults
+ * @param {string|null} turnsJson - Stored value
+ * @returns {Object} {order, current, round, strict}
+ */
+const parseTurns = turnsJson => (turnsJson ? { ...noTurns(), ...JSON.parse(turnsJson) } : noTurns());
+
+/**
+ * Turn management service
+ */
+const turnManager = {
+    /**
+     * Get a game's turns
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Object>} {order, current, round, strict}
+     */
+    async getTurns(gameId) {
+        try {
+            return parseTurns(await redis.get(keys.turnsKey(gameId)));
+        } catch (err) {
+            console.error('Error getting turns:', err);
+            return noTurns();
+        }
+    },
+
+    /**
+     * Change a game's turns in one compare-and-set write
+     *
+     * `change` receives the current turns and returns the new ones, or an
+     * error message to give up with.
+     * @param {string} gameId - The game ID
+     * @param {Function} change - Computes the new turns
+     * @returns {Promise<Object>} {success, turns} or {success: false, error}
+     */
+    async updateTurns(gameId, change) {
+        const turnsKey = keys.turnsKey(gameId);
+
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const turnsJson = await redis.get(turnsKey);
+            const turns = change(parseTurns(turnsJson));
+
+            if (typeof turns === 'string') {
+                return { success: false, error: turns };
+            }
+
+            const committed = await redis.replaceTurnsIfUnchanged(
+                turnsKey,
+                keys.metaKey(gameId),
+                turnsJson || '',
+                JSON.stringify(turns),
+                new Date().toISOString()
+            );
+
+            if (committed === -1) {
+                return { success: false, error: 'Game not found' };
+            }
+
+            if (committed) {
+                return { success: true, turns };
+            }
+        }
+
+        console.error(`Gave up updating turns of game ${gameId} after ${MAX_UPDATE_ATTEMPTS} attempts`);
+        return { success: false, error: 'Failed to update turns' };
+    },
+
+    /**
+     * Set the turn order, and optionally whose turn it is and strict mode
+     *
+     * The current player keeps their turn, and the round its number, if
+     * they are still in the order; otherwise the first player starts. An
+     * empty order turns turn tracking off.
+     *
+     * Once turns are tracked only players in the order can change them, and
+     * in strict mode only the current player.
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player changing the turns
+     * @param {Object} options - {order, current, strict}; order lists player
+     *   IDs, current and strict are optional
+     * @returns {Promise<Object>} {success, turns} or {success: false, error}
+     */
+    async setTurnOrder(gameId, playerId, { order, current, strict } = {}) {
+        try {
+            if (!Array.isArray(order) || order.length > MAX_TURN_PLAYERS
+                || !order.every(playerId => typeof playerId === 'string' && playerId)) {
+                return { success: false, error: `Turn order must list up to ${MAX_TURN_PLAYERS} player IDs` };
+            }
+
+            if (new Set(order).size !== order.length) {
+                return { success: false, error: 'A player can appear only once in the turn order' };
+            }
+
+            if (current !== undefined && !order.includes(current)) {
+                return { success: false, error: 'The current player must be in the turn order' };
+            }
+
+            if (strict !== undefined && typeof strict !== 'boolean') {
+                return { success: false, error: 'Strict must be true or false' };
+            }
+
+            return await this.updateTurns(gameId, (turns) => {
+                if (turns.order.length > 0 && !turns.order.includes(playerId)) {
+                    return 'Only players in the turn order can change it';
+                }
+
+                if (turns.strict && turns.order.length > 0 && turns.current !== playerId) {
+                    return 'Only the current player can change the turn order in strict mode';
+                }
+
+                const next = { ...turns, order, strict: strict === undefined ? turns.strict : strict };
+
+                if (order.length === 0) {
+                    return { ...next, current: null, round: 0 };
+                }
+
+                if (current !== undefined) {
+                    return { ...next, current, round: Math.max(turns.round, 1) };
+                }
+
+                return order.includes(turns.current)
+                    ? next
+                    : { ...next, current: order[0], round: 1 };
+            });
+        } catch (err) {
+            console.error('Error setting turn order:', err);
+            return { success: false, error: 'Failed to set turn order' };
+        }
+    },
+
+    /**
+     * End the current player's turn and pass it to the next player,
+     * starting a new round after the last one
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player ending their turn
+     * @returns {Promise<Object>} {success, turns} or {success: false, error}
+     */
+    async endTurn(gameId, playerId) {
+        try {
+            return await this.updateTurns(gameId, (turns) => {
+                if (turns.order.length === 0) {
+                    return 'There is no turn order';
+                }
+
+                if (turns.current !== playerId) {
+                    return 'It is not your turn';
+                }
+
+                const next = (turns.order.indexOf(playerId) + 1) % turns.order.length;
+
+                return {
+                    ...turns,
+                    current: turns.order[next],
+                    round: next === 0 ? turns.round + 1 : turns.round
+                };
+            });
+        } catch (err) {
+            console.error('Error ending turn:', err);
+            return { success: false, error: 'Failed to end turn' };
+        }
+    },
+
+    /**
+     * Put back the turns of a saved state
+     * @param {string} gameId - The game ID
+     * @param {Object} turns - {order, current, round, strict}
+     * @returns {Promise<void>}
+     */
+    async restoreTurns(gameId, turns) {
+        await redis.set(keys.turnsKey(gameId), JSON.stringify({ ...noTurns(), ...turns }));
+    },
+
+    /**
+     * Get the only player strict turn mode lets take piece tokens
+     * @param {string} gameId - The game ID
+     * @returns {Promise<string|null>} The current player in strict mode,
+     *   or null when any player may take tokens
+     */
+    async getTokenTaker(gameId) {
+        const turns = await this.getTurns(gameId);
+
+        return turns.strict && turns.order.length > 0 ? turns.current : null;
+    },
+
+    /**
+     * Check whether strict turn mode lets a player take piece tokens
+     * @param {string} gameId - The game ID
+     * @param {string} playerId - The player ID
+     * @returns {Promise<boolean>} False only in strict mode when it is
+     *   another player's turn
+     */
+    async canTakeTokens(gameId, playerId) {
+        const taker = await this.getTokenTaker(gameId);
+
+        return taker === null || taker === playerId;
+    }
+};
+
+module.exports = turnManager;
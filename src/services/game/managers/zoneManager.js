@@ -0,0 +1,323 @@
+/**
+ * Zone Manager - Handles named areas of each game's board
+ *
+ * Zones live in a per-game hash with one JSON-encoded field per zone. A zone
+ * is a rectangle or a polygon with rules for the pieces moved into it; the
+ * rules themselves are applied by the piece manager when pieces move.
+ */
+const { v4: uuidv4 } = require('uuid');
+const redis = require('../../../utils/redisClient');
+const { keys } = require('../constants/redisKeys');
+
+// Most zones a game can have
+const MAX_ZONES = 50;
+
+// Longest zone name
+const MAX_NAME_LENGTH = 50;
+
+// Allowed number of polygon corners
+const MIN_POLYGON_POINTS = 3;
+const MAX_POLYGON_POINTS = 50;
+
+// Shapes a zone can have
+const ZONE_SHAPES = ['rect', 'polygon'];
+
+// Most grid cells an auto-arrange layout looks at, so huge zones with a
+// fine grid stay cheap to lay out
+const MAX_ARRANGE_CELLS = 10000;
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isCoordinate = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate a complete zone definition
+ *
+ * Only the fields of the zone's shape are kept, so switching a zone from
+ * one shape to the other drops the old geometry.
+ * @param {Object} fields - {name, shape, x, y, width, height, points, rules}
+ * @returns {Object} {success, values} or {success: false, error}
+ */
+const normalizeZone = ({ name, shape, x, y, width, height, points, rules = {} }) => {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+        return { success: false, error: `Zone name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+
+    if (!ZONE_SHAPES.includes(shape)) {
+        return { success: false, error: `Zone shape must be one of: ${ZONE_SHAPES.join(', ')}` };
+    }
+
+    const values = { name: name.trim(), shape };
+
+    if (shape === 'rect') {
+        if (![x, y, width, height].every(isCoordinate) || width <= 0 || height <= 0) {
+            return { success: false, error: 'Rectangle zones need x, y and a positive width and height' };
+        }
+        Object.assign(values, { x, y, width, height });
+    } else {
+        if (!Array.isArray(points) || points.length < MIN_POLYGON_POINTS || points.length > MAX_POLYGON_POINTS
+            || !points.every(point => point && isCoordinate(point.x) && isCoordinate(point.y))) {
+            return { success: false, error: `Polygon zones need ${MIN_POLYGON_POINTS} to ${MAX_POLYGON_POINTS} points of {x, y}` };
+        }
+        values.points = points.map(point => ({ x: point.x, y: point.y }));
+    }
+
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+        return { success: false, error: 'Zone rules must be an object' };
+    }
+
+    const { maxPieces = null, allowedOwners = null, autoArrange = false } = rules;
+
+    if (maxPieces !== null && !(Number.isInteger(maxPieces) && maxPieces >= 1)) {
+        return { success: false, error: 'Max pieces must be a positive whole number or null' };
+    }
+
+    if (allowedOwners !== null && !(Array.isArray(allowedOwners) && allowedOwners.every(owner => typeof owner === 'string'))) {
+        return { success: false, error: 'Allowed owners must be a list of player IDs or null' };
+    }
+
+    if (typeof autoArrange !== 'boolean') {
+        return { success: false, error: 'Auto-arrange must be true or false' };
+    }
+
+    values.rules = {
+        maxPieces,
+        allowedOwners: allowedOwners && [...new Set(allowedOwners)],
+        autoArrange
+    };
+
+    return { success: true, values };
+};
+
+/**
+ * Get the bounding box of a zone
+ * @param {Object} zone - The zone
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+const boundsOf = (zone) => {
+    if (zone.shape === 'rect') {
+        return { minX: zone.x, minY: zone.y, maxX: zone.x + zone.width, maxY: zone.y + zone.height };
+    }
+
+    const xs = zone.points.map(point => point.x);
+    const ys = zone.points.map(point => point.y);
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+};
+
+/**
+ * Check whether a point lies inside a zone
+ * @param {Object} zone - The zone
+ * @param {Object} point - {x, y}
+ * @returns {boolean} True if inside
+ */
+const containsPoint = (zone, { x, y }) => {
+    if (zone.shape === 'rect') {
+        return x >= zone.x && x < zone.x + zone.width && y >= zone.y && y < zone.y + zone.height;
+    }
+
+    // Even-odd rule: count the polygon edges a ray to the right crosses
+    let inside = false;
+    for (let i = 0, j = zone.points.length - 1; i < zone.points.length; j = i++) {
+        const a = zone.points[i];
+        const b = zone.points[j];
+
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+/**
+ * Zone management service
+ */
+const zoneManager = {
+    /**
+     * Get a game's zones
+     * @param {string} gameId - The game ID
+     * @returns {Promise<Array>} Zones in creation order
+     */
+    async getZones(gameId) {
+        try {
+            const entries = await redis.hgetall(keys.zonesKey(gameId));
+
+            return Object.values(entries)
+                .map(entry => JSON.parse(entry))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        } catch (err) {
+            console.error('Error getting zones:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Add a zone to a game
+     * @param {string} gameId - The game ID
+     * @param {Object} fields - {name, shape: 'rect'|'polygon', x, y, width,
+     *   height (rectangles), points: [{x, y}] (polygons), rules: {maxPieces,
+     *   allowedOwners, autoArrange}}
+     * @returns {Promise<Object>} {success, zone} or {success: false, error}
+     */
+    async createZone(gameId, fields = {}) {
+        try {
+            const result = normalizeZone(fields);
+
+            if (!result.success) {
+                return result;
+            }
+
+            const zonesKey = keys.zonesKey(gameId);
+
+            if (await redis.hlen(zonesKey) >= MAX_ZONES) {
+                return { success: false, error: `A game can have at most ${MAX_ZONES} zones` };
+            }
+
+            const zone = {
+                id: uuidv4(),
+                ...result.values,
+                createdAt: new Date().toISOString()
+            };
+
+            await redis.hset(zonesKey, zone.id, JSON.stringify(zone));
+
+            return { success: true, zone };
+        } catch (err) {
+            console.error('Error creating zone:', err);
+            return { success: false, error: 'Failed to create zone' };
+        }
+    },
+
+    /**
+     * Change some of a zone's fields
+     *
+     * Fields that are not given keep their value, and so do rules missing
+     * from `rules`. Giving a new shape requires that shape's geometry.
+     * @param {string} gameId - The game ID
+     * @param {string} zoneId - The zone ID
+     * @param {Object} updates - Fields as for createZone, each optional
+     * @returns {Promise<Object>} {success, zone} or {success: false, error}
+     */
+    async updateZone(gameId, zoneId, updates = {}) {
+        try {
+            const zonesKey = keys.zonesKey(gameId);
+            const zoneJson = await redis.hget(zonesKey, zoneId);
+
+            if (!zoneJson) {
+                return { success: false, error: 'Zone not found' };
+            }
+
+            const existing = JSON.parse(zoneJson);
+            const { rules, ...fields } = updates;
+
+            if (rules !== undefined && (rules === null || typeof rules !== 'object' || Array.isArray(rules))) {
+                return { success: false, error: 'Zone rules must be an object' };
+            }
+
+            const result = normalizeZone({
+                ...existing,
+                ...fields,
+                rules: { ...existing.rules, ...rules }
+            });
+
+            if (!result.success) {
+                return result;
+            }
+
+            const zone = {
+                id: existing.id,
+                ...result.values,
+                createdAt: existing.createdAt
+            };
+
+            await redis.hset(zonesKey, zoneId, JSON.stringify(zone));
+
+            return { success: true, zone };
+        } catch (err) {
+            console.error('Error updating zone:', err);
+            return { success: false, error: 'Failed to update zone' };
+        }
+    },
+
+    /**
+     * Remove a zone; the pieces in it stay where they are
+     * @param {string} gameId - The game ID
+     * @param {string} zoneId - The zone ID
+     * @returns {Promise<Object>} {success} or {success: false, error}
+     */
+    async removeZone(gameId, zoneId) {
+        try {
+            if (!await redis.hdel(keys.zonesKey(gameId), zoneId)) {
+                return { success: false, error: 'Zone not found' };
+            }
+
+            return { success: true };
+        } catch (err) {
+            console.error('Error removing zone:', err);
+            return { success: false, error: 'Failed to remove zone' };
+        }
+    },
+
+    /**
+     * Find the zone a position lies in
+     *
+     * Where zones overlap, the one created last wins.
+     * @param {Array} zones - The game's zones in creation order
+     * @param {Object} position - {x, y}
+     * @returns {Object|null} The zone, or null if the position is in none
+     */
+    zoneAt(zones, { x, y }) {
+        if (!isCoordinate(x) || !isCoordinate(y)) {
+            return null;
+        }
+
+        for (let i = zones.length - 1; i >= 0; i--) {
+            if (containsPoint(zones[i], { x, y })) {
+                return zones[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Lay out positions for the pieces of an auto-arrange zone
+     *
+     * Positions are the centers of the cells of a grid over the zone's
+     * bounding box, in rows, that fall inside the zone (and, given the
+     * game's zones, are not covered by a zone above it). When there are
+     * more pieces than cells, the rest share the last cell.
+     * @param {Object} zone - The zone
+     * @param {number} count - Number of pieces
+     * @param {number} cellSize - Distance between neighbouring positions
+     * @param {Array} [zones] - All zones of the game, in creation order
+     * @returns {Array<Object>|null} {x, y} for each piece, in reading
+     *   order, or null if no cell lies in the zone
+     */
+    arrangePositions(zone, count, cellSize, zones = [zone]) {
+        const { minX, minY, maxX, maxY } = boundsOf(zone);
+        const columns = Math.max(1, Math.floor((maxX - minX) / cellSize));
+        const rows = Math.max(1, Math.floor((maxY - minY) / cellSize));
+        const cells = [];
+
+        for (let index = 0; index < Math.min(columns * rows, MAX_ARRANGE_CELLS) && cells.length < count; index++) {
+            const cell = {
+                x: minX + cellSize * ((index % columns) + 0.5),
+                y: minY + cellSize * (Math.floor(index / columns) + 0.5)
+            };
+
+            if (this.zoneAt(zones, cell) === zone) {
+                cells.push(cell);
+            }
+        }
+
+        if (count > 0 && cells.length === 0) {
+            return null;
+        }
+
+        return Array.from({ length: count }, (_, index) => cells[Math.min(index, cells.length - 1)]);
+    }
+};
+
+module.exports = zoneManager;
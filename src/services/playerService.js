@@ -0,0 +1,151 @@
+/**
+ * Player service for persistent player identities
+ * 
+ * Players get a server-issued ID and a signed session token that the client
+ * presents again when it reconnects, so tokens and piece ownership survive
+ * page refreshes.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const redis = require('../utils/redisClient');
+const config = require('../config');
+
+// Key prefix for player records (player:<playerId>)
+const PLAYER_KEY_PREFIX = 'player:';
+
+/**
+ * Build the Redis key of a player record
+ * @param {string} playerId - The player ID
+ * @returns {string} Player key
+ */
+const playerKey = (playerId) => `${PLAYER_KEY_PREFIX}${playerId}`;
+
+/**
+ * Sign a player ID
+ * @param {string} playerId - The player ID
+ * @returns {string} Hex signature
+ */
+const sign = (playerId) => crypto
+    .createHmac('sha256', config.players.sessionSecret)
+    .update(playerId)
+    .digest('hex');
+
+/**
+ * Trim a display name to the allowed length
+ * @param {*} name - Requested name
+ * @returns {string|null} Clean name or null if empty
+ */
+const cleanName = (name) => {
+    if (typeof name !== 'string') {
+        return null;
+    }
+
+    const trimmed = name.trim().slice(0, config.players.maxNameLength);
+    return trimmed || null;
+};
+
+const playerService = {
+    /**
+     * Create a new player
+     * @param {string} [name] - Optional display name
+     * @returns {Promise<Object|null>} {playerId, name, sessionToken} or null on error
+     */
+    async createPlayer(name = null) {
+        try {
+            const playerId = uuidv4();
+            const displayName = cleanName(name) || `Player ${playerId.slice(0, 4)}`;
+
+            await redis.hset(playerKey(playerId), {
+                'name': displayName,
+                'created_at': new Date().toISOString()
+            });
+
+            return {
+                playerId,
+                name: displayName,
+                sessionToken: `${playerId}.${sign(playerId)}`
+            };
+        } catch (err) {
+            console.error('Error creating player:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Resolve a session token to its player
+     * @param {string} sessionToken - Token issued by createPlayer
+     * @returns {Promise<Object|null>} {playerId, name} or null if invalid
+     */
+    async verifySession(sessionToken) {
+        try {
+            if (typeof sessionToken !== 'string') {
+                return null;
+            }
+
+            const [playerId, signature] = sessionToken.split('.');
+
+            if (!playerId || !signature) {
+                return null;
+            }
+
+            const expected = Buffer.from(sign(playerId));
+            const actual = Buffer.from(signature);
+
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                return null;
+            }
+
+            return await this.getPlayer(playerId);
+        } catch (err) {
+            console.error('Error verifying player session:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Get a player by ID
+     * @param {string} playerId - The player ID
+     * @returns {Promise<Object|null>} {playerId, name} or null if not found
+     */
+    async getPlayer(playerId) {
+        try {
+            const player = await redis.hgetall(playerKey(playerId));
+
+            if (!player.name) {
+                return null;
+            }
+
+            return {
+                playerId,
+                name: player.name
+            };
+        } catch (err) {
+            console.error('Error getting player:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Change a player's display name
+     * @param {string} playerId - The player ID
+     * @param {string} name - New display name
+     * @returns {Promise<string|null>} The stored name, or null if invalid
+     */
+    async setPlayerName(playerId, name) {
+        try {
+            const displayName = cleanName(name);
+
+            if (!displayName) {
+                return null;
+            }
+
+            await redis.hset(playerKey(playerId), 'name', displayName);
+            return displayName;
+        } catch (err) {
+            console.error('Error setting player name:', err);
+            return null;
+        }
+    }
+};
+
+module.exports = playerService;
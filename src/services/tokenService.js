@@ -2,30 +2,431 @@
  * Token authority service for controlling piece access
  */
 const redis = require('../utils/redisClient');
+const { DEFAULT_GAME_ID } = require('./game/constants/redisKeys');
+const turnManager = require('./game/managers/turnManager');
 
 // Token expiration time in seconds
 const TOKEN_EXPIRY = 30;
 
-// Key prefix for tokens
+// Key prefix for tokens (token:<gameId>:<pieceId>)
 const TOKEN_KEY_PREFIX = 'token:';
 
+// How often to look for expired tokens when Redis cannot announce them
+const EXPIRY_SWEEP_MS = 2000;
+
+// Why a free token was refused to a player who is not first in its queue
+const QUEUED_ERROR = 'Other players are waiting for this piece';
+
+// Key prefix for the players waiting for a token (token-queue:<gameId>:<pieceId>)
+const QUEUE_KEY_PREFIX = 'token-queue:';
+
+/**
+ * Build the Redis key of a piece token
+ * @param {string} gameId - The game ID
+ * @param {string} pieceId - The piece ID
+ * @returns {string} Token key
+ */
+const tokenKey = (gameId, pieceId) => `${TOKEN_KEY_PREFIX}${gameId}:${pieceId}`;
+
+/**
+ * Build the Redis key of a piece's waiting queue
+ * @param {string} gameId - The game ID
+ * @param {string} pieceId - The piece ID
+ * @returns {string} Queue key
+ */
+const queueKey = (gameId, pieceId) => `${QUEUE_KEY_PREFIX}${gameId}:${pieceId}`;
+
+/**
+ * Split a token key back into its game and piece IDs
+ * @param {string} key - Token key
+ * @returns {Object|null} {gameId, pieceId} or null if not a token key
+ */
+const parseTokenKey = (key) => {
+    if (!key.startsWith(TOKEN_KEY_PREFIX)) {
+        return null;
+    }
+
+    const rest = key.slice(TOKEN_KEY_PREFIX.length);
+    const separator = rest.indexOf(':');
+
+    if (separator === -1) {
+        return null;
+    }
+
+    return {
+        gameId: rest.slice(0, separator),
+        pieceId: rest.slice(separator + 1)
+    };
+};
+
+// Connection dedicated to keyspace notifications (created on first use)
+let subscriber = null;
+
+// Timer of the expiry sweep used instead of keyspace notifications, and
+// the callbacks it serves
+let sweeper = null;
+const sweepCallbacks = [];
+
+/**
+ * Take or refresh a token unless another player holds it, or it is free
+ * but other players wait for it ahead of this one (the player leaves the
+ * queue on taking it). Returns {granted, holder, ttl in ms}; holder is ''
+ * when refused for the queue.
+ *
+ * KEYS[1] - token key, KEYS[2] - queue key; ARGV[1] - player ID,
+ * ARGV[2] - expiry in ms, ARGV[3] - the only player who may take tokens,
+ * ahead of the queue ('' for anyone)
+ */
+redis.defineCommand('acquireToken', {
+    numberOfKeys: 2,
+    lua: `
+        local holder = redis.call('GET', KEYS[1])
+        if holder and holder ~= ARGV[1] then
+            return {0, holder, redis.call('PTTL', KEYS[1])}
+        end
+        if not holder then
+            local first = redis.call('LINDEX', KEYS[2], 0)
+            if ARGV[3] == '' and first and first ~= ARGV[1] then
+                return {0, '', 0}
+            end
+            redis.call('LREM', KEYS[2], 1, ARGV[1])
+        end
+        redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+        return {1, ARGV[1], tonumber(ARGV[2])}
+    `
+});
+
+/**
+ * Take or refresh the tokens of several pieces at once, or none of them if
+ * another player holds any or waits ahead of this one for a free one (see
+ * acquireToken). Returns {granted, holder, ttl in ms, key} where key is the
+ * first token refused (left out when granted).
+ *
+ * KEYS - the token keys, then the queue keys in the same order;
+ * ARGV[1] - player ID, ARGV[2] - expiry in ms, ARGV[3] - the only player
+ * who may take tokens ('' for anyone)
+ */
+redis.defineCommand('acquireTokens', {
+    lua: `
+        local count = #KEYS / 2
+        for i = 1, count do
+            local holder = redis.call('GET', KEYS[i])
+            if holder and holder ~= ARGV[1] then
+                return {0, holder, redis.call('PTTL', KEYS[i]), KEYS[i]}
+            end
+            local first = redis.call('LINDEX', KEYS[count + i], 0)
+            if not holder and ARGV[3] == '' and first and first ~= ARGV[1] then
+                return {0, '', 0, KEYS[i]}
+            end
+        end
+        for i = 1, count do
+            if not redis.call('GET', KEYS[i]) then
+                redis.call('LREM', KEYS[count + i], 1, ARGV[1])
+            end
+            redis.call('SET', KEYS[i], ARGV[1], 'PX', ARGV[2])
+        end
+        return {1, ARGV[1], tonumber(ARGV[2])}
+    `
+});
+
+/**
+ * Extend a token held by the player. Returns {renewed, holder, ttl in ms};
+ * holder is false when nobody holds the token.
+ *
+ * KEYS[1] - token key; ARGV[1] - player ID, ARGV[2] - expiry in ms
+ */
+redis.defineCommand('renewToken', {
+    numberOfKeys: 1,
+    lua: `
+        local holder = redis.call('GET', KEYS[1])
+        if holder ~= ARGV[1] then
+            return {0, holder, redis.call('PTTL', KEYS[1])}
+        end
+        redis.call('PEXPIRE', KEYS[1], ARGV[2])
+        return {1, holder, tonumber(ARGV[2])}
+    `
+});
+
+/**
+ * Delete a token only if the player holds it. Returns 1 if deleted.
+ *
+ * KEYS[1] - token key; ARGV[1] - player ID
+ */
+redis.defineCommand('releaseTokenIfHolder', {
+    numberOfKeys: 1,
+    lua: `
+        if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+            return 0
+        end
+        return redis.call('DEL', KEYS[1])
+    `
+});
+
+/**
+ * Add a player to the end of a piece's queue unless already queued or
+ * holding the token. Returns the 1-based position, or 0 for the holder.
+ *
+ * KEYS[1] - token key, KEYS[2] - queue key; ARGV[1] - player ID
+ */
+redis.defineCommand('enqueueForToken', {
+    numberOfKeys: 2,
+    lua: `
+        if redis.call('GET', KEYS[1]) == ARGV[1] then
+            return 0
+        end
+        local queue = redis.call('LRANGE', KEYS[2], 0, -1)
+        for i, playerId in ipairs(queue) do
+            if playerId == ARGV[1] then
+                return i
+            end
+        end
+        return redis.call('RPUSH', KEYS[2], ARGV[1])
+    `
+});
+
+/**
+ * Give a free token to the first player in the queue, or only to the given
+ * player if they are queued (the others keep their places).
+ * Returns {holder, ttl in ms} or false when the token is held or nobody
+ * who may take it waits.
+ *
+ * KEYS[1] - token key, KEYS[2] - queue key; ARGV[1] - expiry in ms,
+ * ARGV[2] - the only player who may take the token ('' for anyone)
+ */
+redis.defineCommand('passTokenToQueue', {
+    numberOfKeys: 2,
+    lua: `
+        if redis.call('EXISTS', KEYS[1]) == 1 then
+            return false
+        end
+        local nextPlayer = false
+        if ARGV[2] == '' then
+            nextPlayer = redis.call('LPOP', KEYS[2])
+        elseif redis.call('LREM', KEYS[2], 1, ARGV[2]) == 1 then
+            nextPlayer = ARGV[2]
+        end
+        if not nextPlayer then
+            return false
+        end
+        redis.call('SET', KEYS[1], nextPlayer, 'PX', ARGV[1])
+        return {nextPlayer, tonumber(ARGV[1])}
+    `
+});
+
+/**
+ * Convert a script reply into a token status
+ * @param {Array} reply - [ok, holder, ttl in ms]
+ * @returns {Object} Status with success flag, holder and expiry time
+ */
+const toTokenStatus = ([ok, holder, ttl]) => ({
+    ok: ok === 1,
+    playerId: holder || null,
+    expiresAt: holder && ttl > 0 ? new Date(Date.now() + ttl).toISOString() : null
+});
+
+/**
+ * Make sure Redis publishes expired-key events, keeping any other
+ * notification flags already configured
+ * @returns {Promise<boolean>} True if Redis publishes them
+ */
+const enableExpiryNotifications = async () => {
+    try {
+        const [, flags = ''] = await redis.config('GET', 'notify-keyspace-events');
+        const hasExpiredEvents = flags.includes('E') && (flags.includes('x') || flags.includes('A'));
+
+        if (!hasExpiredEvents) {
+            const merged = [...new Set(`${flags}Ex`.split(''))].join('');
+            await redis.config('SET', 'notify-keyspace-events', merged);
+        }
+        return true;
+    } catch (err) {
+        console.warn(`Could not enable Redis keyspace notifications, checking for expired tokens every ${EXPIRY_SWEEP_MS} ms instead; set notify-keyspace-events to include "Ex":`, err.message);
+        return false;
+    }
+};
+
+/**
+ * Look for expired tokens on a schedule, for Redis servers that do not
+ * publish expired-key events
+ * 
+ * Each sweep notes when every token is due to expire; a token gone by the
+ * next sweep after that time counts as expired (one released earlier does
+ * not). Expired tokens go to every callback in sweepCallbacks.
+ */
+const startExpirySweep = () => {
+    let dueTimes = new Map();
+
+    sweeper = setInterval(async () => {
+        try {
+            const tokenKeys = [];
+
+            for await (const batch of redis.scanStream({ match: `${TOKEN_KEY_PREFIX}*`, count: 100 })) {
+                tokenKeys.push(...batch);
+            }
+
+            const ttls = tokenKeys.length > 0
+                ? await redis.pipeline(tokenKeys.map(key => ['pttl', key])).exec()
+                : [];
+            const now = Date.now();
+            const current = new Map();
+
+            tokenKeys.forEach((key, index) => {
+                const [err, ttl] = ttls[index];
+
+                if (!err && ttl > 0) {
+                    current.set(key, now + ttl);
+                }
+            });
+
+            dueTimes.forEach((dueAt, key) => {
+                const token = parseTokenKey(key);
+
+                if (!current.has(key) && dueAt <= now && token) {
+                    sweepCallbacks.forEach(callback => callback(token));
+                }
+            });
+
+            dueTimes = current;
+        } catch (err) {
+            console.error('Error sweeping expired tokens:', err);
+        }
+    }, EXPIRY_SWEEP_MS);
+
+    // The sweep alone should not keep the process alive
+    sweeper.unref();
+};
+
 const tokenService = {
     /**
      * Grant token for a piece to a player
+     * 
+     * Fails while another player holds the token; the holder may request it
+     * again to refresh it. A free token whose queue is not empty only goes
+     * to the first player in it, so nobody jumps the line while an expired
+     * token waits to be passed on. In strict turn mode it fails when it is
+     * another player's turn, and the current player skips the queue.
      * @param {string} pieceId - The piece ID
      * @param {string} playerId - The player ID
-     * @returns {Promise<boolean>} Success indicator
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {granted, playerId, expiresAt} where playerId
+     *   is the current holder, plus an error when refused for the turn or
+     *   the queue
      */
-    async grantToken(pieceId, playerId) {
+    async grantToken(pieceId, playerId, gameId = DEFAULT_GAME_ID) {
         try {
-            const tokenKey = `${TOKEN_KEY_PREFIX}${pieceId}`;
+            const taker = await turnManager.getTokenTaker(gameId);
 
-            // Set token with expiration
-            await redis.set(tokenKey, playerId, 'EX', TOKEN_EXPIRY);
-            return true;
+            if (taker !== null && taker !== playerId) {
+                return { granted: false, playerId: null, expiresAt: null, error: 'It is not your turn' };
+            }
+
+            const reply = await redis.acquireToken(tokenKey(gameId, pieceId), queueKey(gameId, pieceId), playerId, TOKEN_EXPIRY * 1000, taker || '');
+            const { ok, ...status } = toTokenStatus(reply);
+
+            if (!ok && !status.playerId) {
+                return { granted: false, ...status, error: QUEUED_ERROR };
+            }
+
+            return { granted: ok, ...status };
         } catch (err) {
             console.error('Error granting token:', err);
-            return false;
+            return { granted: false, playerId: null, expiresAt: null };
+        }
+    },
+
+    /**
+     * Grant the tokens of several pieces to a player, all or nothing
+     * 
+     * Fails without taking any token while another player holds one of them
+     * or waits ahead of this one for a free one (see grantToken), or in
+     * strict turn mode when it is another player's turn.
+     * @param {Array<string>} pieceIds - The piece IDs
+     * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {granted, pieceId, playerId, expiresAt} where
+     *   pieceId and playerId name the first piece held by someone else and its
+     *   holder (pieceId is null when granted), plus an error when refused
+     *   for the turn or the queue
+     */
+    async grantTokens(pieceIds, playerId, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (pieceIds.length === 0) {
+                return { granted: false, pieceId: null, playerId: null, expiresAt: null };
+            }
+
+            const taker = await turnManager.getTokenTaker(gameId);
+
+            if (taker !== null && taker !== playerId) {
+                return { granted: false, pieceId: null, playerId: null, expiresAt: null, error: 'It is not your turn' };
+            }
+
+            const tokenKeys = pieceIds.map(pieceId => tokenKey(gameId, pieceId));
+            const queueKeys = pieceIds.map(pieceId => queueKey(gameId, pieceId));
+            const [ok, holder, ttl, blockedKey] = await redis.acquireTokens(
+                tokenKeys.length * 2,
+                ...tokenKeys,
+                ...queueKeys,
+                playerId,
+                TOKEN_EXPIRY * 1000,
+                taker || ''
+            );
+            const { ok: granted, ...status } = toTokenStatus([ok, holder, ttl]);
+            const blocked = granted ? -1 : tokenKeys.indexOf(blockedKey);
+            const refusal = !granted && !status.playerId ? { error: QUEUED_ERROR } : {};
+
+            return { granted, pieceId: blocked === -1 ? null : pieceIds[blocked], ...status, ...refusal };
+        } catch (err) {
+            console.error('Error granting tokens:', err);
+            return { granted: false, pieceId: null, playerId: null, expiresAt: null };
+        }
+    },
+
+    /**
+     * Extend the expiry of a token the player holds
+     * 
+     * In strict turn mode it fails when it is another player's turn.
+     * @param {string} pieceId - The piece ID
+     * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} {renewed, playerId, expiresAt} where playerId
+     *   is the current holder, plus an error when refused for the turn
+     */
+    async renewToken(pieceId, playerId, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (!await turnManager.canTakeTokens(gameId, playerId)) {
+                return { renewed: false, playerId: null, expiresAt: null, error: 'It is not your turn' };
+            }
+
+            const reply = await redis.renewToken(tokenKey(gameId, pieceId), playerId, TOKEN_EXPIRY * 1000);
+            const { ok, ...status } = toTokenStatus(reply);
+
+            return { renewed: ok, ...status };
+        } catch (err) {
+            console.error('Error renewing token:', err);
+            return { renewed: false, playerId: null, expiresAt: null };
+        }
+    },
+
+    /**
+     * Get the current holder of a piece's token
+     * @param {string} pieceId - The piece ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object|null>} {playerId, expiresAt} or null if free
+     */
+    async getToken(pieceId, gameId = DEFAULT_GAME_ID) {
+        try {
+            const key = tokenKey(gameId, pieceId);
+            const [[, holder], [, ttl]] = await redis.multi().get(key).pttl(key).exec();
+
+            if (!holder) {
+                return null;
+            }
+
+            const { playerId, expiresAt } = toTokenStatus([1, holder, ttl]);
+            return { playerId, expiresAt };
+        } catch (err) {
+            console.error('Error getting token:', err);
+            return null;
         }
     },
 
@@ -33,12 +434,12 @@ const tokenService = {
      * Check if player has authority over a piece
      * @param {string} pieceId - The piece ID
      * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
      * @returns {Promise<boolean>} True if player has authority
      */
-    async hasAuthority(pieceId, playerId) {
+    async hasAuthority(pieceId, playerId, gameId = DEFAULT_GAME_ID) {
         try {
-            const tokenKey = `${TOKEN_KEY_PREFIX}${pieceId}`;
-            const tokenOwner = await redis.get(tokenKey);
+            const tokenOwner = await redis.get(tokenKey(gameId, pieceId));
 
             return tokenOwner === playerId;
         } catch (err) {
@@ -47,28 +448,235 @@ const tokenService = {
         }
     },
 
+    /**
+     * Check if player has authority over every piece in a set
+     * @param {Array<string>} pieceIds - The piece IDs
+     * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<boolean>} True if player holds all of the tokens
+     */
+    async hasAuthorityOverAll(pieceIds, playerId, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (pieceIds.length === 0) {
+                return false;
+            }
+
+            const owners = await redis.mget(...pieceIds.map(pieceId => tokenKey(gameId, pieceId)));
+
+            return owners.every(owner => owner === playerId);
+        } catch (err) {
+            console.error('Error checking token authority:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Get the holders of a set of pieces' tokens
+     * @param {Array<string>} pieceIds - The piece IDs
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object>} Holder player ID (or null if free) by piece ID
+     */
+    async getHolders(pieceIds, gameId = DEFAULT_GAME_ID) {
+        try {
+            const holders = {};
+
+            if (pieceIds.length > 0) {
+                const owners = await redis.mget(...pieceIds.map(pieceId => tokenKey(gameId, pieceId)));
+                pieceIds.forEach((pieceId, i) => {
+                    holders[pieceId] = owners[i];
+                });
+            }
+            return holders;
+        } catch (err) {
+            console.error('Error getting token holders:', err);
+            return {};
+        }
+    },
+
     /**
      * Release a token
      * @param {string} pieceId - The piece ID
      * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
      * @returns {Promise<boolean>} Success indicator
      */
-    async releaseToken(pieceId, playerId) {
+    async releaseToken(pieceId, playerId, gameId = DEFAULT_GAME_ID) {
         try {
-            const tokenKey = `${TOKEN_KEY_PREFIX}${pieceId}`;
-            const tokenOwner = await redis.get(tokenKey);
+            const released = await redis.releaseTokenIfHolder(tokenKey(gameId, pieceId), playerId);
 
-            if (tokenOwner !== playerId) {
-                return false;
+            return released === 1;
+        } catch (err) {
+            console.error('Error releasing token:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Release the tokens of a set of pieces held by anyone but one player
+     * @param {Array<string>} pieceIds - The piece IDs
+     * @param {string} playerId - The player who keeps their tokens
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Array<string>>} IDs of the pieces released
+     */
+    async releaseTokensExcept(pieceIds, playerId, gameId = DEFAULT_GAME_ID) {
+        const holders = await this.getHolders(pieceIds, gameId);
+        const released = [];
+
+        for (const pieceId of pieceIds) {
+            const holder = holders[pieceId];
+
+            if (holder && holder !== playerId && await this.releaseToken(pieceId, holder, gameId)) {
+                released.push(pieceId);
+            }
+        }
+        return released;
+    },
+
+    /**
+     * Clear the tokens and queues for a set of pieces regardless of who holds them
+     * @param {Array<string>} pieceIds - The piece IDs
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<boolean>} Success indicator
+     */
+    async clearTokens(pieceIds, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (pieceIds.length === 0) {
+                return true;
             }
 
-            await redis.del(tokenKey);
+            await redis.del(
+                ...pieceIds.map(pieceId => tokenKey(gameId, pieceId)),
+                ...pieceIds.map(pieceId => queueKey(gameId, pieceId))
+            );
             return true;
         } catch (err) {
-            console.error('Error releasing token:', err);
+            console.error('Error clearing tokens:', err);
             return false;
         }
+    },
+
+    /**
+     * Queue a player for a piece's token
+     * @param {string} pieceId - The piece ID
+     * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<number|null>} 1-based queue position, 0 if the player
+     *   already holds the token, null on error
+     */
+    async enqueue(pieceId, playerId, gameId = DEFAULT_GAME_ID) {
+        try {
+            return await redis.enqueueForToken(tokenKey(gameId, pieceId), queueKey(gameId, pieceId), playerId);
+        } catch (err) {
+            console.error('Error queueing for token:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Remove a player from the queues of a set of pieces
+     * @param {Array<string>} pieceIds - The piece IDs
+     * @param {string} playerId - The player ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Array<string>>} IDs of the pieces the player was queued for
+     */
+    async leaveQueues(pieceIds, playerId, gameId = DEFAULT_GAME_ID) {
+        try {
+            if (pieceIds.length === 0) {
+                return [];
+            }
+
+            const pipeline = redis.pipeline();
+            pieceIds.forEach(pieceId => pipeline.lrem(queueKey(gameId, pieceId), 0, playerId));
+            const results = await pipeline.exec();
+
+            return pieceIds.filter((pieceId, i) => results[i][1] > 0);
+        } catch (err) {
+            console.error('Error leaving token queues:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Get the players waiting for a piece, first in line first
+     * @param {string} pieceId - The piece ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Array<string>>} Player IDs
+     */
+    async getQueue(pieceId, gameId = DEFAULT_GAME_ID) {
+        try {
+            return await redis.lrange(queueKey(gameId, pieceId), 0, -1);
+        } catch (err) {
+            console.error('Error getting token queue:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Give a free token to the next player in the piece's queue
+     * 
+     * In strict turn mode only the current player can get it; the players
+     * ahead of them keep waiting for their turn.
+     * @param {string} pieceId - The piece ID
+     * @param {string} [gameId=DEFAULT_GAME_ID] - The game ID
+     * @returns {Promise<Object|null>} {playerId, expiresAt} of the new holder,
+     *   or null if the token is held or nobody who may take it is waiting
+     */
+    async passToken(pieceId, gameId = DEFAULT_GAME_ID) {
+        try {
+            const taker = await turnManager.getTokenTaker(gameId);
+            const reply = await redis.passTokenToQueue(tokenKey(gameId, pieceId), queueKey(gameId, pieceId), TOKEN_EXPIRY * 1000, taker || '');
+
+            if (!reply) {
+                return null;
+            }
+
+            const { playerId, expiresAt } = toTokenStatus([1, ...reply]);
+            return { playerId, expiresAt };
+        } catch (err) {
+            console.error('Error passing token:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Call back whenever a token expires without being released
+     * 
+     * Uses Redis keyspace notifications for expired keys, enabling them if
+     * the server allows CONFIG SET. Otherwise it checks for expired tokens
+     * every few seconds instead (set `notify-keyspace-events Ex` in the Redis
+     * configuration to be told at once).
+     * @param {Function} callback - ({gameId, pieceId}) => void
+     * @returns {Promise<void>}
+     */
+    async onTokenExpired(callback) {
+        try {
+            if (sweeper) {
+                sweepCallbacks.push(callback);
+                return;
+            }
+
+            if (!subscriber) {
+                if (!await enableExpiryNotifications()) {
+                    sweepCallbacks.push(callback);
+                    startExpirySweep();
+                    return;
+                }
+
+                subscriber = redis.duplicate();
+                await subscriber.subscribe(`__keyevent@${redis.options.db || 0}__:expired`);
+            }
+
+            subscriber.on('message', (channel, key) => {
+                const token = parseTokenKey(key);
+
+                if (token) {
+                    callback(token);
+                }
+            });
+        } catch (err) {
+            console.error('Error subscribing to token expiry:', err);
+        }
     }
 };
 
-module.exports = tokenService;
\ No newline at end of file
+module.exports = tokenService;
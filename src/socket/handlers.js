@@ -1,174 +1,1818 @@
 /**
  * Socket.io event handlers
  */
+const { v4: uuidv4 } = require('uuid');
 const gameService = require('../services/game');
 const tokenService = require('../services/tokenService');
+const playerService = require('../services/playerService');
+const config = require('../config');
+const { rollDice } = require('../utils/dice');
+
+// How often a player's last-seen time is refreshed while they are active (ms)
+const PRESENCE_TOUCH_INTERVAL = 30000;
+
+// Minimum time between relayed cursor updates from one player (ms)
+const CURSOR_MIN_INTERVAL = 40;
+
+// Most pieces a player can take or move in one batch
+const MAX_BATCH_PIECES = 100;
+
+/**
+ * Validate a batch of piece IDs sent by a client
+ * @param {*} pieceIds - Value received from the client
+ * @returns {Array<string>|null} Distinct piece IDs, or null if invalid
+ */
+const toPieceBatch = (pieceIds) => {
+  if (!Array.isArray(pieceIds) || !pieceIds.every(id => typeof id === 'string' && id)) {
+    return null;
+  }
+
+  const batch = [...new Set(pieceIds)];
+  return batch.length > 0 && batch.length <= MAX_BATCH_PIECES ? batch : null;
+};
+
+/**
+ * Describe where a piece now is, for move broadcasts
+ * @param {Object} piece - The piece
+ * @returns {Object} {pieceId, x, y, q, r} (q and r on hex boards only)
+ */
+const toPosition = piece => ({ pieceId: piece.id, x: piece.x, y: piece.y, q: piece.q, r: piece.r });
+
+/**
+ * Describe a piece for players who are shown it for the first time
+ * @param {Object} piece - The piece
+ * @param {string} playerId - The player who added or revealed it
+ * @returns {Object} Event data for `piece-added` and `piece-revealed`
+ */
+const toAddedPiece = (piece, playerId) => ({
+  pieceId: piece.id,
+  x: piece.x,
+  y: piece.y,
+  q: piece.q,
+  r: piece.r,
+  assetUrl: piece.assetUrl,
+  faces: piece.faces,
+  faceIndex: piece.faceIndex,
+  rotation: piece.rotation,
+  scale: piece.scale,
+  zIndex: piece.zIndex,
+  parentId: piece.parentId,
+  owner: piece.owner,
+  visibility: piece.visibility,
+  visibleTo: piece.visibleTo,
+  playerId
+});
 
 /**
  * Setup socket handlers
  * @param {Object} io - Socket.io server instance
  */
 const setupSocketHandlers = (io) => {
+  // Time of the last relayed cursor update per player
+  const lastCursorMove = new Map();
+
+  // Pending check for run-out clocks and timers per game
+  const clockChecks = new Map();
+
+  /**
+   * Send news about pieces to the players of a game who may see them
+   * 
+   * News about pieces everyone can see is one room broadcast; otherwise
+   * each socket gets its own version, or nothing.
+   * @param {string} gameId - The game ID
+   * @param {Array<Object>} shown - The pieces the news is about
+   * @param {Function} build - Gets a check for one player (piece => true if
+   *   they may see it) and returns [event, data], or null to send nothing
+   * @param {Object|string} [except] - Socket to leave out, usually the
+   *   sender's, or a player ID to leave out all of that player's tabs
+   */
+  const emitToViewers = async (gameId, shown, build, except) => {
+    if (shown.every(piece => gameService.canSeePiece(piece, null))) {
+      const message = build(() => true);
+
+      if (!message) {
+        return;
+      }
+
+      if (typeof except === 'string') {
+        io.to(gameId).except(except).emit(...message);
+      } else {
+        (except ? except.to(gameId) : io.to(gameId)).emit(...message);
+      }
+      return;
+    }
+
+    const sockets = await io.in(gameId).fetchSockets();
+
+    sockets.forEach((target) => {
+      if (typeof except === 'string' ? target.data.playerId === except : except && target.id === except.id) {
+        return;
+      }
+
+      const message = build(piece => gameService.canSeePiece(piece, target.data.playerId));
+
+      if (message) {
+        target.emit(...message);
+      }
+    });
+  };
+
+  /**
+   * Send news about pieces, by ID, to the players who may see any of them
+   * @param {string} gameId - The game ID
+   * @param {Array<string>} pieceIds - The pieces the news is about
+   * @param {Function} build - Gets the IDs one player may see (never empty)
+   *   and returns [event, data], or null to send nothing
+   * @param {Object|string} [except] - Socket or player ID to leave out
+   */
+  const emitAboutPieces = async (gameId, pieceIds, build, except) => {
+    const pieces = (await Promise.all(pieceIds.map(id => gameService.getPiece(id, gameId)))).filter(Boolean);
+
+    await emitToViewers(gameId, pieces, (canSee) => {
+      const hidden = new Set(pieces.filter(piece => !canSee(piece)).map(piece => piece.id));
+      const visible = pieceIds.filter(id => !hidden.has(id));
+
+      return visible.length > 0 ? build(visible) : null;
+    }, except);
+  };
+
+  /**
+   * Tell a game which zones moved pieces left and entered
+   * @param {string} gameId - The game ID
+   * @param {Array} crossings - [{pieceId, zoneId, name, entered}]
+   * @param {Array<Object>} moved - Every piece the move changed
+   * @param {string} playerId - The player who moved the pieces
+   */
+  const sendZoneCrossings = async (gameId, crossings, moved, playerId) => {
+    for (const { pieceId, zoneId, name, entered } of crossings) {
+      const piece = moved.find(p => p.id === pieceId);
+
+      await emitToViewers(gameId, [piece], canSee => (canSee(piece)
+        ? [entered ? 'piece-entered-zone' : 'piece-left-zone', { pieceId, zoneId, name, playerId }]
+        : null));
+    }
+  };
+
+  /**
+   * Tell a player their move was refused and where the pieces still are
+   * @param {Object} socket - The mover's socket
+   * @param {Object} result - Failed move result, with the unmoved pieces
+   *   when a zone refused them
+   */
+  const refuseMove = (socket, result) => {
+    if (result.pieces) {
+      socket.emit('move-refused', {
+        error: result.error,
+        pieces: result.pieces.map(toPosition)
+      });
+    } else {
+      socket.emit('error', result.error);
+    }
+  };
+
+  /**
+   * Find a piece whose token cannot be handed out at all, such as a card
+   * in a deck or a hand (those only change through draw-card and play-card),
+   * or one the player may not see
+   * @param {string} gameId - The game ID
+   * @param {Array<string>} pieceIds - The piece IDs
+   * @param {string} playerId - The player asking for the tokens
+   * @returns {Promise<Object|null>} {pieceId, error} of the first such
+   *   piece, or null if every token may be taken
+   */
+  const findUnlockable = async (gameId, pieceIds, playerId) => {
+    for (const pieceId of pieceIds) {
+      const piece = await gameService.getPiece(pieceId, gameId);
+
+      if (piece && !gameService.canSeePiece(piece, playerId)) {
+        return { pieceId, error: 'Piece not found' };
+      }
+
+      if (piece && !gameService.isLockable(piece)) {
+        return { pieceId, error: 'Cards in a deck or a hand cannot be locked' };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Send a message to the tabs a player has open in one game (their player
+   * room also holds tabs open in other games)
+   * @param {string} gameId - The game ID
+   * @param {string} playerId - The player ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  const emitToPlayer = async (gameId, playerId, event, data) => {
+    const sockets = await io.in(playerId).fetchSockets();
+
+    sockets
+      .filter(target => target.data.gameId === gameId)
+      .forEach(target => target.emit(event, data));
+  };
+
+  /**
+   * Tell every player waiting for a piece their place in line
+   * @param {string} gameId - The game ID
+   * @param {string} pieceId - The piece ID
+   */
+  const sendQueuePositions = async (gameId, pieceId) => {
+    const queue = await tokenService.getQueue(pieceId, gameId);
+
+    await Promise.all(queue.map((playerId, index) => emitToPlayer(gameId, playerId, 'queue-position', {
+      pieceId,
+      position: index + 1
+    })));
+  };
+
+  /**
+   * Give a free token to the next player waiting for the piece
+   * @param {string} gameId - The game ID
+   * @param {string} pieceId - The piece ID
+   * @returns {Promise<Object|null>} New holder, or null if nobody got the token
+   */
+  const handOffToken = async (gameId, pieceId) => {
+    const token = await tokenService.passToken(pieceId, gameId);
+
+    if (!token) {
+      return null;
+    }
+
+    await emitToPlayer(gameId, token.playerId, 'token-granted', {
+      pieceId,
+      expiresAt: token.expiresAt,
+      fromQueue: true
+    });
+    await emitAboutPieces(gameId, [pieceId], () => ['piece-locked', {
+      pieceId,
+      playerId: token.playerId,
+      expiresAt: token.expiresAt
+    }], token.playerId);
+
+    await sendQueuePositions(gameId, pieceId);
+    return token;
+  };
+
+  /**
+   * Pass a freed token on to the queue, or announce the piece as unlocked
+   * @param {string} gameId - The game ID
+   * @param {string} pieceId - The piece ID
+   * @param {Object} [details] - Extra fields for piece-unlocked
+   */
+  const freePiece = async (gameId, pieceId, details = {}) => {
+    try {
+      const token = await handOffToken(gameId, pieceId);
+
+      if (!token) {
+        await emitAboutPieces(gameId, [pieceId], () => ['piece-unlocked', {
+          pieceId,
+          ...details
+        }]);
+      }
+    } catch (err) {
+      console.error('Error freeing piece:', err);
+    }
+  };
+
+  /**
+   * Hand the tokens of a strict-mode game to the player whose turn it now
+   * is: take them back from everyone else and serve the current player
+   * where they wait for a free piece
+   * @param {string} gameId - The game ID
+   * @param {Object} turns - The game's new turns
+   */
+  const enforceTurn = async (gameId, turns) => {
+    if (!turns.strict || turns.order.length === 0) {
+      return;
+    }
+
+    const gameState = await gameService.getGameState(gameId);
+
+    for (const { id: pieceId } of gameState.pieces) {
+      const token = await tokenService.getToken(pieceId, gameId);
+
+      if (!token) {
+        await handOffToken(gameId, pieceId);
+      } else if (token.playerId !== turns.current
+        && await tokenService.releaseToken(pieceId, token.playerId, gameId)) {
+        await freePiece(gameId, pieceId);
+      }
+    }
+  };
+
+  /**
+   * Check whether a player has another tab open in a game
+   * @param {string} playerId - The player ID
+   * @param {string} gameId - The game ID
+   * @param {string} socketId - Socket to ignore
+   * @returns {Promise<boolean>} True if another socket of the player is in the game
+   */
+  const hasOtherTabs = async (playerId, gameId, socketId) => {
+    const sockets = await io.in(playerId).fetchSockets();
+    return sockets.some(s => s.id !== socketId && s.data.gameId === gameId);
+  };
+
+  /**
+   * Take a player off a game's roster once their last tab has left it
+   * @param {Object} socket - The socket leaving the game
+   * @param {string} gameId - The game being left
+   * @returns {Promise<boolean>} True if the player left the game
+   */
+  const leaveRoster = async (socket, gameId) => {
+    const { playerId } = socket.data;
+
+    if (await hasOtherTabs(playerId, gameId, socket.id)) {
+      return false;
+    }
+
+    if (await gameService.removePlayer(gameId, playerId)) {
+      io.to(gameId).emit('player-left', { playerId });
+    }
+
+    lastCursorMove.delete(playerId);
+
+    return true;
+  };
+
+  /**
+   * Let go of everything a player had in a game once their last tab has
+   * left it: their roster entry, their places in line and their tokens
+   * @param {Object} socket - The socket leaving the game
+   * @param {string} gameId - The game being left
+   */
+  const leaveGame = async (socket, gameId) => {
+    const { playerId } = socket.data;
+
+    // Another tab of the same player keeps its tokens, queue places and
+    // roster entry
+    if (!await leaveRoster(socket, gameId)) {
+      return;
+    }
+
+    // Get game state to find pieces owned by this player
+    const gameState = await gameService.getGameState(gameId);
+    const pieceIds = gameState.pieces.map(piece => piece.id);
+
+    // Stop waiting for pieces first so tokens are not passed back to this player
+    const leftQueues = await tokenService.leaveQueues(pieceIds, playerId, gameId);
+    for (const pieceId of leftQueues) {
+      await sendQueuePositions(gameId, pieceId);
+    }
+
+    // Look for pieces with tokens held by this player
+    for (const pieceId of pieceIds) {
+      if (await tokenService.releaseToken(pieceId, playerId, gameId)) {
+        await freePiece(gameId, pieceId);
+      }
+    }
+  };
+
+  /**
+   * Check a game's clocks and timers again when the next one runs out
+   * @param {string} gameId - The game ID
+   * @param {Object} view - The game's clocks and timers (see getClockView)
+   */
+  const scheduleClockCheck = (gameId, view) => {
+    clearTimeout(clockChecks.get(gameId));
+    clockChecks.delete(gameId);
+
+    const deadline = gameService.nextDeadline(view);
+
+    if (deadline !== null) {
+      clockChecks.set(gameId, setTimeout(() => checkClocks(gameId), Math.max(0, deadline - Date.now())));
+    }
+  };
+
+  /**
+   * Flag a run-out player clock and expire run-out timers, and tell the game
+   * @param {string} gameId - The game ID
+   */
+  const checkClocks = async (gameId) => {
+    try {
+      clockChecks.delete(gameId);
+
+      const result = await gameService.expireClocks(gameId);
+
+      if (!result.success) {
+        return;
+      }
+
+      if (result.flagged) {
+        io.to(gameId).emit('clock-flagged', { gameId, playerId: result.flagged });
+      }
+
+      result.expired.forEach((timer) => {
+        io.to(gameId).emit('timer-expired', { gameId, timer });
+      });
+
+      if (result.flagged || result.expired.length > 0) {
+        const { clocks, timers, serverTime } = result;
+        io.to(gameId).emit('clocks-updated', { gameId, clocks, timers, serverTime });
+      }
+
+      scheduleClockCheck(gameId, result);
+    } catch (err) {
+      console.error('Error checking clocks:', err);
+    }
+  };
+
+  // Resume the player from the session token in the handshake, or issue a
+  // new identity when it is missing or invalid
+  io.use(async (socket, next) => {
+    try {
+      const { sessionToken, name } = socket.handshake.auth || {};
+      let player = await playerService.verifySession(sessionToken);
+      let issuedToken = sessionToken;
+
+      if (!player) {
+        player = await playerService.createPlayer(name);
+
+        if (!player) {
+          next(new Error('Failed to create player'));
+          return;
+        }
+
+        issuedToken = player.sessionToken;
+      }
+
+      socket.data.playerId = player.playerId;
+      socket.data.playerName = player.name;
+      socket.data.sessionToken = issuedToken;
+      next();
+    } catch (err) {
+      console.error('Error authenticating player:', err);
+      next(new Error('Failed to authenticate player'));
+    }
+  });
+
+  // Pieces whose token ran out without being released go to the next
+  // player in line or are unlocked
+  tokenService.onTokenExpired(({ gameId, pieceId }) => {
+    freePiece(gameId, pieceId, { expired: true });
+  });
+
   io.on('connection', (socket) => {
-    console.log('New client connected:', socket.id);
+    const { playerId } = socket.data;
+    console.log('New client connected:', socket.id, 'as player', playerId);
+
+    // Messages addressed to a player reach all of their tabs
+    socket.join(playerId);
+
+    socket.emit('player-session', {
+      playerId,
+      name: socket.data.playerName,
+      sessionToken: socket.data.sessionToken
+    });
+
+    // Refresh the player's last-seen time on activity, at most every
+    // PRESENCE_TOUCH_INTERVAL
+    socket.data.lastSeenAt = 0;
+    socket.use((packet, next) => {
+      const currentGameId = socket.data.gameId;
+      const now = Date.now();
+
+      if (currentGameId && now - socket.data.lastSeenAt >= PRESENCE_TOUCH_INTERVAL) {
+        socket.data.lastSeenAt = now;
+        gameService.updatePlayer(currentGameId, playerId).then((player) => {
+          if (player) {
+            io.to(currentGameId).emit('player-updated', player);
+          }
+        });
+      }
+
+      next();
+    });
+
+    // Game this socket has joined (also used as the Socket.io room name).
+    // Kept on socket.data so HTTP handlers can detach sockets from a game.
+    socket.data.gameId = null;
+
+    // Join a game room
+    socket.on('join-game', async (gameId) => {
+      try {
+        if (!gameId) {
+          socket.emit('error', 'Game ID is required');
+          return;
+        }
+
+        let game = await gameService.getGame(gameId);
+
+        // The default game is created lazily for backward compatibility
+        if (!game && gameId === gameService.DEFAULT_GAME_ID) {
+          await gameService.saveGameState({ pieces: [] }, 'initial', gameId);
+          game = await gameService.getGame(gameId);
+        }
+
+        if (!game) {
+          socket.emit('error', 'Game not found');
+          return;
+        }
+
+        const previousGameId = socket.data.gameId;
+        socket.join(gameId);
+        socket.data.gameId = gameId;
+        socket.data.lastSeenAt = Date.now();
+
+        // Leave current game if already in one
+        if (previousGameId && previousGameId !== gameId) {
+          socket.leave(previousGameId);
+          await leaveGame(socket, previousGameId);
+        }
+
+        // Drop roster entries left behind by connections that no longer exist
+        const sockets = await io.in(gameId).fetchSockets();
+        const stale = await gameService.prunePlayers(gameId, sockets.map(s => s.data.playerId));
+        stale.forEach(staleId => io.to(gameId).emit('player-left', { playerId: staleId }));
+
+        const presence = await gameService.addPlayer(gameId, playerId, socket.data.playerName);
+
+        if (presence && presence.joined) {
+          socket.to(gameId).emit('player-joined', presence.player);
+        } else if (presence) {
+          socket.to(gameId).emit('player-updated', presence.player);
+        }
+
+        // Send the game state and roster to the joining client
+        const gameState = await gameService.getGameState(gameId);
+        socket.emit('game-state', gameService.getPlayerView(gameState, playerId));
+        socket.emit('roster', {
+          gameId,
+          players: await gameService.getPlayers(gameId)
+        });
+        socket.emit('chat-history', {
+          gameId,
+          messages: await gameService.getChatHistory(gameId)
+        });
+        socket.emit('board-settings', {
+          gameId,
+          settings: await gameService.getSettings(gameId)
+        });
+        socket.emit('zones-updated', {
+          gameId,
+          zones: await gameService.getZones(gameId)
+        });
+
+        // Clocks keep running while nobody is connected, so a clock may have
+        // run out since the last check (e.g. across a server restart)
+        const clockView = await gameService.getClockView(gameId);
+        socket.emit('clocks-updated', { gameId, ...clockView });
+        scheduleClockCheck(gameId, clockView);
+      } catch (err) {
+        console.error('Error joining game:', err);
+        socket.emit('error', 'Failed to join game');
+      }
+    });
+
+    // Change the player's display name
+    socket.on('set-player-name', async (name) => {
+      try {
+        const stored = await playerService.setPlayerName(playerId, name);
+
+        if (!stored) {
+          socket.emit('error', 'Invalid player name');
+          return;
+        }
+
+        socket.data.playerName = stored;
+
+        // Tell the player's own tabs and the rest of their game
+        const currentGameId = socket.data.gameId;
+        const rooms = currentGameId ? [playerId, currentGameId] : [playerId];
+        io.to(rooms).emit('player-renamed', { playerId, name: stored });
+
+        if (currentGameId) {
+          const player = await gameService.updatePlayer(currentGameId, playerId, { name: stored });
+
+          if (player) {
+            io.to(currentGameId).emit('player-updated', player);
+          }
+        }
+      } catch (err) {
+        console.error('Error renaming player:', err);
+        socket.emit('error', 'Failed to rename player');
+      }
+    });
+
+    // Send game state to client
+    socket.on('get-game-state', async () => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const gameState = await gameService.getGameState(currentGameId);
+        socket.emit('game-state', gameService.getPlayerView(gameState, playerId));
+      } catch (err) {
+        console.error('Error sending game state:', err);
+        socket.emit('error', 'Failed to get game state');
+      }
+    });
+
+    // Request token for a piece
+    socket.on('request-token', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const refused = await findUnlockable(currentGameId, [pieceId], playerId);
+        const token = refused
+          ? { granted: false, playerId: null, expiresAt: null, error: refused.error }
+          : await tokenService.grantToken(pieceId, playerId, currentGameId);
+
+        if (token.granted) {
+          socket.emit('token-granted', {
+            pieceId,
+            expiresAt: token.expiresAt
+          });
+          await emitAboutPieces(currentGameId, [pieceId], () => ['piece-locked', {
+            pieceId,
+            playerId,
+            expiresAt: token.expiresAt
+          }], socket);
+        } else {
+          socket.emit('token-denied', {
+            pieceId,
+            playerId: token.playerId,
+            expiresAt: token.expiresAt,
+            error: token.error
+          });
+        }
+      } catch (err) {
+        console.error('Error requesting token:', err);
+        socket.emit('error', 'Failed to request token');
+      }
+    });
+
+    // Request the tokens of several pieces, all or none
+    socket.on('request-tokens', async (pieceIds) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const batch = toPieceBatch(pieceIds);
+
+        if (!batch) {
+          socket.emit('error', `Select between 1 and ${MAX_BATCH_PIECES} pieces`);
+          return;
+        }
+
+        const refused = await findUnlockable(currentGameId, batch, playerId);
+        const token = refused
+          ? { granted: false, pieceId: refused.pieceId, playerId: null, expiresAt: null, error: refused.error }
+          : await tokenService.grantTokens(batch, playerId, currentGameId);
+
+        if (token.granted) {
+          socket.emit('tokens-granted', {
+            pieceIds: batch,
+            expiresAt: token.expiresAt
+          });
+          await emitAboutPieces(currentGameId, batch, visible => ['pieces-locked', {
+            pieceIds: visible,
+            playerId,
+            expiresAt: token.expiresAt
+          }], socket);
+        } else {
+          socket.emit('tokens-denied', {
+            pieceIds: batch,
+            pieceId: token.pieceId,
+            playerId: token.playerId,
+            expiresAt: token.expiresAt,
+            error: token.error
+          });
+        }
+      } catch (err) {
+        console.error('Error requesting tokens:', err);
+        socket.emit('error', 'Failed to request tokens');
+      }
+    });
+
+    // Extend a held token (e.g. during a long drag)
+    socket.on('renew-token', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const refused = await findUnlockable(currentGameId, [pieceId], playerId);
+        const token = refused
+          ? { renewed: false, playerId: null, expiresAt: null, error: refused.error }
+          : await tokenService.renewToken(pieceId, playerId, currentGameId);
+
+        if (token.renewed) {
+          socket.emit('token-renewed', {
+            pieceId,
+            expiresAt: token.expiresAt
+          });
+          await emitAboutPieces(currentGameId, [pieceId], () => ['piece-locked', {
+            pieceId,
+            playerId,
+            expiresAt: token.expiresAt
+          }], socket);
+        } else {
+          socket.emit('token-denied', {
+            pieceId,
+            playerId: token.playerId,
+            expiresAt: token.expiresAt,
+            error: token.error
+          });
+        }
+      } catch (err) {
+        console.error('Error renewing token:', err);
+        socket.emit('error', 'Failed to renew token');
+      }
+    });
+
+    // Release token for a piece
+    socket.on('release-token', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const released = await tokenService.releaseToken(pieceId, playerId, currentGameId);
+
+        if (released) {
+          await freePiece(currentGameId, pieceId);
+        }
+      } catch (err) {
+        console.error('Error releasing token:', err);
+        socket.emit('error', 'Failed to release token');
+      }
+    });
+
+    // Release the tokens of several pieces
+    socket.on('release-tokens', async (pieceIds) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const batch = toPieceBatch(pieceIds);
+
+        if (!batch) {
+          socket.emit('error', `Select between 1 and ${MAX_BATCH_PIECES} pieces`);
+          return;
+        }
+
+        for (const pieceId of batch) {
+          if (await tokenService.releaseToken(pieceId, playerId, currentGameId)) {
+            await freePiece(currentGameId, pieceId);
+          }
+        }
+      } catch (err) {
+        console.error('Error releasing tokens:', err);
+        socket.emit('error', 'Failed to release tokens');
+      }
+    });
+
+    // Wait in line for a piece another player holds
+    socket.on('join-token-queue', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        // Waiting would hand the token over when it is not this player's turn
+        if (!await gameService.canTakeTokens(currentGameId, playerId)) {
+          socket.emit('error', 'It is not your turn');
+          return;
+        }
+
+        const refused = await findUnlockable(currentGameId, [pieceId], playerId);
+
+        if (refused) {
+          socket.emit('error', refused.error);
+          return;
+        }
+
+        const position = await tokenService.enqueue(pieceId, playerId, currentGameId);
+
+        if (position === null) {
+          socket.emit('error', 'Failed to join queue');
+          return;
+        }
+
+        if (position === 0) {
+          return; // Already holding the token
+        }
+
+        // The piece may have been freed in the meantime
+        const token = await handOffToken(currentGameId, pieceId);
+
+        if (token && token.playerId === playerId) {
+          return;
+        }
+
+        const queue = await tokenService.getQueue(pieceId, currentGameId);
+        const holder = await tokenService.getToken(pieceId, currentGameId);
+
+        socket.emit('token-queued', {
+          pieceId,
+          position: queue.indexOf(playerId) + 1,
+          playerId: holder ? holder.playerId : null,
+          expiresAt: holder ? holder.expiresAt : null
+        });
+      } catch (err) {
+        console.error('Error joining token queue:', err);
+        socket.emit('error', 'Failed to join queue');
+      }
+    });
+
+    // Stop waiting for a piece
+    socket.on('leave-token-queue', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const left = await tokenService.leaveQueues([pieceId], playerId, currentGameId);
+
+        if (left.length > 0) {
+          socket.emit('token-queue-left', { pieceId });
+          await sendQueuePositions(currentGameId, pieceId);
+        }
+      } catch (err) {
+        console.error('Error leaving token queue:', err);
+        socket.emit('error', 'Failed to leave queue');
+      }
+    });
+
+    // Broadcast piece dragging in real-time
+    socket.on('drag-piece', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          return;
+        }
+
+        const { pieceId, x, y } = data;
+
+        // Check if player has authority to move this piece
+        const hasAuthority = await tokenService.hasAuthority(pieceId, playerId, currentGameId);
+
+        if (!hasAuthority) {
+          return; // Silently fail for drag events to avoid flooding errors
+        }
+
+        const piece = await gameService.getPiece(pieceId, currentGameId);
+
+        if (!piece) {
+          return;
+        }
+
+        // Broadcast drag to the rest of the game, if they can see the piece
+        await emitToViewers(currentGameId, [piece], canSee => (canSee(piece)
+          ? ['piece-dragged', { pieceId, x, y, playerId }]
+          : null), socket);
+      } catch (err) {
+        console.error('Error broadcasting drag:', err);
+        // Don't send error to client to avoid overwhelming during frequent drag events
+      }
+    });
+
+    // Relay the player's pointer position to the rest of the game
+    socket.on('cursor-move', (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId || !data) {
+          return;
+        }
+
+        const { x, y } = data;
+
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          return;
+        }
+
+        // Drop updates that arrive faster than CURSOR_MIN_INTERVAL, across
+        // all of the player's tabs
+        const now = Date.now();
+        if (now - (lastCursorMove.get(playerId) || 0) < CURSOR_MIN_INTERVAL) {
+          return;
+        }
+        lastCursorMove.set(playerId, now);
+
+        socket.to(currentGameId).emit('cursor-moved', {
+          playerId,
+          x,
+          y
+        });
+      } catch (err) {
+        console.error('Error relaying cursor:', err);
+      }
+    });
+
+    // Post a chat message to the game
+    socket.on('chat-message', async (text) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const body = typeof text === 'string' ? text.trim() : '';
+
+        if (!body) {
+          socket.emit('error', 'Message is empty');
+          return;
+        }
+
+        if (body.length > config.chat.maxMessageLength) {
+          socket.emit('error', `Message is longer than ${config.chat.maxMessageLength} characters`);
+          return;
+        }
+
+        // Also marks the player as active; falls back if they are not listed
+        const player = await gameService.updatePlayer(currentGameId, playerId);
+
+        const message = {
+          id: uuidv4(),
+          playerId,
+          name: player ? player.name : socket.data.playerName,
+          color: player ? player.color : null,
+          text: body,
+          sentAt: new Date().toISOString()
+        };
+
+        if (!await gameService.addChatMessage(currentGameId, message)) {
+          socket.emit('error', 'Failed to send message');
+          return;
+        }
+
+        io.to(currentGameId).emit('chat-message', message);
+      } catch (err) {
+        console.error('Error sending chat message:', err);
+        socket.emit('error', 'Failed to send message');
+      }
+    });
+
+    // Roll dice on the server and share the result with the game
+    socket.on('roll-dice', async (notation) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const result = rollDice(notation);
+
+        if (result.error) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        const roll = {
+          id: uuidv4(),
+          playerId,
+          name: socket.data.playerName,
+          ...result,
+          rolledAt: new Date().toISOString()
+        };
+
+        await gameService.addRoll(currentGameId, roll);
+
+        io.to(currentGameId).emit('dice-rolled', roll);
+      } catch (err) {
+        console.error('Error rolling dice:', err);
+        socket.emit('error', 'Failed to roll dice');
+      }
+    });
+
+    // Set who plays in which order, and optionally whose turn it is and
+    // whether only that player may take tokens
+    socket.on('set-turn-order', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { order, current, strict } = data || {};
+        const result = await gameService.setTurnOrder(currentGameId, playerId, { order, current, strict });
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        io.to(currentGameId).emit('turn-changed', {
+          gameId: currentGameId,
+          turns: result.turns,
+          playerId
+        });
+
+        await enforceTurn(currentGameId, result.turns);
+      } catch (err) {
+        console.error('Error setting turn order:', err);
+        socket.emit('error', 'Failed to set turn order');
+      }
+    });
+
+    // Pass the turn to the next player
+    socket.on('end-turn', async () => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const result = await gameService.endTurn(currentGameId, playerId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        io.to(currentGameId).emit('turn-changed', {
+          gameId: currentGameId,
+          turns: result.turns,
+          playerId
+        });
+
+        // In strict mode the player's tokens go to whoever plays next
+        await enforceTurn(currentGameId, result.turns);
+      } catch (err) {
+        console.error('Error ending turn:', err);
+        socket.emit('error', 'Failed to end turn');
+      }
+    });
+
+    /**
+     * Handle a change to the game's clocks or timers and share the result
+     * @param {Function} change - Gets the game ID and makes the change
+     * @param {string} failure - Error message if the change throws
+     */
+    const changeClocks = async (change, failure) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const result = await change(currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        const { clocks, timers, serverTime } = result;
+        io.to(currentGameId).emit('clocks-updated', {
+          gameId: currentGameId,
+          clocks,
+          timers,
+          serverTime,
+          playerId
+        });
+        scheduleClockCheck(currentGameId, result);
+      } catch (err) {
+        console.error(failure, err);
+        socket.emit('error', failure);
+      }
+    };
+
+    // Give players fresh clocks: { order, initialMs, mode, bonusMs }
+    socket.on('set-clocks', (data) => changeClocks(
+      gameId => gameService.setClocks(gameId, playerId, data || {}),
+      'Failed to set clocks'
+    ));
+
+    // Start the first clock (optionally by player ID), or resume the paused one
+    socket.on('start-clocks', (clockPlayerId) => changeClocks(
+      gameId => gameService.startClocks(gameId, playerId, clockPlayerId),
+      'Failed to start clocks'
+    ));
+
+    // Pause the running clock
+    socket.on('pause-clocks', () => changeClocks(
+      gameId => gameService.pauseClocks(gameId, playerId),
+      'Failed to pause clocks'
+    ));
+
+    // Stop our clock after a move and start the next player's
+    socket.on('press-clock', () => changeClocks(
+      gameId => gameService.pressClock(gameId, playerId),
+      'Failed to press clock'
+    ));
+
+    // Start a named timer: { name, durationMs }
+    socket.on('start-timer', (data) => changeClocks(
+      gameId => gameService.startTimer(gameId, data || {}, playerId),
+      'Failed to start timer'
+    ));
+
+    // Pause, resume or cancel a timer (by timer ID)
+    socket.on('pause-timer', (timerId) => changeClocks(
+      gameId => gameService.setTimerRunning(gameId, playerId, timerId, false),
+      'Failed to pause timer'
+    ));
+
+    socket.on('resume-timer', (timerId) => changeClocks(
+      gameId => gameService.setTimerRunning(gameId, playerId, timerId, true),
+      'Failed to resume timer'
+    ));
+
+    socket.on('cancel-timer', (timerId) => changeClocks(
+      gameId => gameService.cancelTimer(gameId, playerId, timerId),
+      'Failed to cancel timer'
+    ));
+
+    // Move a piece
+    socket.on('move-piece', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { pieceId, x, y, q, r } = data;
+
+        // Check if player has authority to move this piece and the pieces
+        // attached to it
+        const attachedIds = await gameService.getDescendants([pieceId], currentGameId);
+        const hasAuthority = await tokenService.hasAuthorityOverAll([pieceId, ...attachedIds], playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to move this piece');
+          return;
+        }
+
+        // Snap to the grid when the game has snapping on (hex boards also
+        // take a hex instead of a point)
+        const settings = await gameService.getSettings(currentGameId);
+        const position = gameService.snapPosition(settings, { x, y, q, r });
+
+        // Update piece position; attached pieces move along
+        const result = await gameService.movePiece(pieceId, position, currentGameId, playerId);
+
+        if (!result.success) {
+          refuseMove(socket, result);
+          return;
+        }
+
+        // Broadcast move to everyone in the game who can see the piece,
+        // with the pieces auto-arrange zones laid out again
+        const moved = [result.piece, ...result.children, ...result.arranged];
+
+        await emitToViewers(currentGameId, moved, (canSee) => {
+          const children = result.children.filter(canSee).map(toPosition);
+          const arranged = result.arranged.filter(canSee).map(toPosition);
+
+          if (canSee(result.piece)) {
+            return ['piece-moved', {
+              pieceId,
+              x: result.piece.x,
+              y: result.piece.y,
+              q: result.piece.q,
+              r: result.piece.r,
+              children,
+              arranged,
+              playerId
+            }];
+          }
+
+          // Pieces that moved along with a piece the player cannot see
+          const others = [...children, ...arranged];
+          return others.length > 0 ? ['pieces-moved', { pieces: others, arranged: [], playerId }] : null;
+        });
+        await sendZoneCrossings(currentGameId, result.crossings, moved, playerId);
+      } catch (err) {
+        console.error('Error moving piece:', err);
+        socket.emit('error', 'Failed to move piece');
+      }
+    });
+
+    // Move a group of pieces by one offset
+    socket.on('move-pieces', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { pieceIds, dx, dy } = data;
+        const batch = toPieceBatch(pieceIds);
+
+        if (!batch) {
+          socket.emit('error', `Select between 1 and ${MAX_BATCH_PIECES} pieces`);
+          return;
+        }
+
+        // Check if player has authority to move every piece, attached
+        // pieces included
+        const attachedIds = await gameService.getDescendants(batch, currentGameId);
+        const hasAuthority = await tokenService.hasAuthorityOverAll([...batch, ...attachedIds], playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to move these pieces');
+          return;
+        }
+
+        const result = await gameService.movePieces(batch, { dx, dy }, currentGameId, playerId);
+
+        if (!result.success) {
+          refuseMove(socket, result);
+          return;
+        }
 
-    // Send game state to new client
-    socket.on('get-game-state', async () => {
+        // One broadcast for the whole group, showing each player the
+        // pieces they can see
+        const moved = [...result.pieces, ...result.arranged];
+
+        await emitToViewers(currentGameId, moved, (canSee) => {
+          const visible = result.pieces.filter(canSee);
+          const arranged = result.arranged.filter(canSee);
+
+          return visible.length + arranged.length > 0
+            ? ['pieces-moved', { pieces: visible.map(toPosition), arranged: arranged.map(toPosition), dx, dy, playerId }]
+            : null;
+        });
+        await sendZoneCrossings(currentGameId, result.crossings, moved, playerId);
+      } catch (err) {
+        console.error('Error moving pieces:', err);
+        socket.emit('error', 'Failed to move pieces');
+      }
+    });
+
+    // Add piece to board
+    socket.on('add-piece', async (data) => {
       try {
-        const gameState = await gameService.getGameState();
-        socket.emit('game-state', gameState);
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { pieceId, assetUrl, faces, faceIndex, rotation, scale, zIndex, visibility, visibleTo } = data;
+
+        // Snap to the grid when the game has snapping on (hex boards also
+        // take a hex instead of a point)
+        const settings = await gameService.getSettings(currentGameId);
+        const { x, y } = gameService.snapPosition(settings, { x: data.x, y: data.y, q: data.q, r: data.r });
+
+        const transform = gameService.normalizeTransform({ rotation, scale, zIndex });
+
+        if (!transform.success) {
+          socket.emit('error', transform.error);
+          return;
+        }
+
+        const rule = gameService.normalizeVisibility({ visibility, visibleTo });
+
+        if (!rule.success) {
+          socket.emit('error', rule.error);
+          return;
+        }
+
+        // Create new piece
+        let piece = {
+          id: pieceId,
+          x,
+          y,
+          assetUrl,
+          rotation: 0,
+          scale: 1,
+          zIndex: 0,
+          ...transform.values,
+          ...rule.values,
+          owner: playerId,
+          createdAt: new Date().toISOString()
+        };
+
+        // Multi-face pieces show their current face's asset
+        if (faces !== undefined) {
+          const result = await gameService.withFaces(piece, faces, faceIndex);
+
+          if (!result.success) {
+            socket.emit('error', result.error);
+            return;
+          }
+
+          piece = result.piece;
+        }
+
+        // Hex boards record the piece's hex
+        piece = gameService.withHexCoordinates(settings, piece);
+
+        // Add to game state (never over an existing piece)
+        const added = await gameService.addPiece(piece, currentGameId);
+
+        if (!added.success) {
+          socket.emit('error', added.error);
+          return;
+        }
+
+        // Automatically grant token to creator
+        await tokenService.grantToken(pieceId, playerId, currentGameId);
+
+        // Broadcast new piece to everyone in the game who can see it
+        await emitToViewers(currentGameId, [piece], canSee => (canSee(piece)
+          ? ['piece-added', toAddedPiece(piece, playerId)]
+          : null));
       } catch (err) {
-        console.error('Error sending game state:', err);
-        socket.emit('error', 'Failed to get game state');
+        console.error('Error adding piece:', err);
+        socket.emit('error', 'Failed to add piece');
       }
     });
 
-    // Request token for a piece
-    socket.on('request-token', async (pieceId) => {
+    // Attach a piece to a parent piece so it moves along with it
+    socket.on('attach-piece', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { pieceId, parentId } = data;
+
+        // Check if player has authority over both the piece and its new parent
+        const hasAuthority = await tokenService.hasAuthorityOverAll([pieceId, parentId], playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to attach this piece');
+          return;
+        }
+
+        const result = await gameService.attachPiece(pieceId, parentId, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        await emitAboutPieces(currentGameId, [pieceId], () => ['piece-attached', {
+          pieceId,
+          parentId,
+          playerId
+        }]);
+      } catch (err) {
+        console.error('Error attaching piece:', err);
+        socket.emit('error', 'Failed to attach piece');
+      }
+    });
+
+    // Detach a piece from its parent
+    socket.on('detach-piece', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        // Check if player has authority to detach this piece
+        const hasAuthority = await tokenService.hasAuthority(pieceId, playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to detach this piece');
+          return;
+        }
+
+        const result = await gameService.detachPiece(pieceId, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        await emitAboutPieces(currentGameId, [pieceId], () => ['piece-detached', {
+          pieceId,
+          parentId: result.parentId,
+          playerId
+        }]);
+      } catch (err) {
+        console.error('Error detaching piece:', err);
+        socket.emit('error', 'Failed to detach piece');
+      }
+    });
+
+    // Turn a multi-face piece to its next, a chosen or a random face
+    socket.on('flip-piece', async (data) => {
       try {
-        const granted = await tokenService.grantToken(pieceId, socket.id);
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { pieceId, faceIndex, random } = data;
+
+        // Check if player has authority to flip this piece
+        const hasAuthority = await tokenService.hasAuthority(pieceId, playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to flip this piece');
+          return;
+        }
 
-        if (granted) {
-          socket.emit('token-granted', pieceId);
-          socket.broadcast.emit('piece-locked', {
+        const result = await gameService.flipPiece(pieceId, { faceIndex, random: random === true }, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        await emitToViewers(currentGameId, [result.piece], canSee => (canSee(result.piece)
+          ? ['piece-flipped', {
             pieceId,
-            playerId: socket.id
-          });
-        } else {
-          socket.emit('token-denied', pieceId);
+            faceIndex: result.piece.faceIndex,
+            assetUrl: result.piece.assetUrl,
+            random: random === true,
+            playerId
+          }]
+          : null));
+      } catch (err) {
+        console.error('Error flipping piece:', err);
+        socket.emit('error', 'Failed to flip piece');
+      }
+    });
+
+    // Show a hidden or restricted piece to everyone
+    socket.on('reveal-piece', async (pieceId) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const piece = await gameService.getPiece(pieceId, currentGameId);
+
+        if (!piece) {
+          socket.emit('error', 'Piece not found');
+          return;
         }
+
+        // Only the owner decides who sees a piece
+        if (piece.owner !== playerId) {
+          socket.emit('error', 'Only the owner can reveal this piece');
+          return;
+        }
+
+        const result = await gameService.revealPiece(pieceId, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        // Players who could not see the piece get all of it
+        io.to(currentGameId).emit('piece-revealed', toAddedPiece(result.piece, playerId));
       } catch (err) {
-        console.error('Error requesting token:', err);
-        socket.emit('error', 'Failed to request token');
+        console.error('Error revealing piece:', err);
+        socket.emit('error', 'Failed to reveal piece');
       }
     });
 
-    // Release token for a piece
-    socket.on('release-token', async (pieceId) => {
+    // Rotate and/or scale a piece
+    socket.on('transform-piece', async (data) => {
       try {
-        const released = await tokenService.releaseToken(pieceId, socket.id);
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
 
-        if (released) {
-          socket.broadcast.emit('piece-unlocked', {
-            pieceId
-          });
+        const { pieceId, rotation, scale } = data;
+
+        // Check if player has authority to transform this piece
+        const hasAuthority = await tokenService.hasAuthority(pieceId, playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to transform this piece');
+          return;
+        }
+
+        const result = await gameService.transformPiece(pieceId, { rotation, scale }, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
         }
+
+        await emitToViewers(currentGameId, [result.piece], canSee => (canSee(result.piece)
+          ? ['piece-transformed', {
+            pieceId,
+            rotation: result.piece.rotation,
+            scale: result.piece.scale,
+            playerId
+          }]
+          : null));
       } catch (err) {
-        console.error('Error releasing token:', err);
-        socket.emit('error', 'Failed to release token');
+        console.error('Error transforming piece:', err);
+        socket.emit('error', 'Failed to transform piece');
       }
     });
 
-    // Broadcast piece dragging in real-time
-    socket.on('drag-piece', async (data) => {
+    /**
+     * Handle bring-to-front / send-to-back
+     * @param {string} pieceId - The piece to restack
+     * @param {boolean} toFront - True for the front, false for the back
+     */
+    const restackPiece = async (pieceId, toFront) => {
       try {
-        const { pieceId, x, y } = data;
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
 
-        // Check if player has authority to move this piece
-        const hasAuthority = await tokenService.hasAuthority(pieceId, socket.id);
+        // Check if player has authority to restack this piece
+        const hasAuthority = await tokenService.hasAuthority(pieceId, playerId, currentGameId);
 
         if (!hasAuthority) {
-          return; // Silently fail for drag events to avoid flooding errors
+          socket.emit('error', 'No authority to restack this piece');
+          return;
         }
 
-        // Broadcast drag to all clients except the sender
-        socket.broadcast.emit('piece-dragged', {
-          pieceId,
+        const result = await gameService.restackPiece(pieceId, toFront, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        await emitToViewers(currentGameId, [result.piece], canSee => (canSee(result.piece)
+          ? ['piece-restacked', {
+            pieceId,
+            zIndex: result.piece.zIndex,
+            playerId
+          }]
+          : null));
+      } catch (err) {
+        console.error('Error restacking piece:', err);
+        socket.emit('error', 'Failed to restack piece');
+      }
+    };
+
+    // Put a piece above every other piece
+    socket.on('bring-to-front', (pieceId) => restackPiece(pieceId, true));
+
+    // Put a piece below every other piece
+    socket.on('send-to-back', (pieceId) => restackPiece(pieceId, false));
+
+    // Put a new deck of cards on the board
+    socket.on('create-deck', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { deckId, x, y, backUrl, cards } = data;
+
+        const result = await gameService.createDeck({
+          id: deckId,
           x,
           y,
-          playerId: socket.id
+          backUrl,
+          owner: playerId,
+          cards: Array.isArray(cards) ? cards.map(card => ({ id: card.cardId, assetUrl: card.assetUrl })) : []
+        }, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        const view = gameService.getPlayerView({ pieces: [result.deck] }, playerId);
+
+        io.to(currentGameId).emit('deck-added', {
+          deck: view.pieces[0],
+          playerId
         });
       } catch (err) {
-        console.error('Error broadcasting drag:', err);
-        // Don't send error to client to avoid overwhelming during frequent drag events
+        console.error('Error creating deck:', err);
+        socket.emit('error', 'Failed to create deck');
       }
     });
 
-    // Move a piece
-    socket.on('move-piece', async (data) => {
+    // Shuffle the cards left in a deck
+    socket.on('shuffle-deck', async (deckId) => {
       try {
-        const { pieceId, x, y } = data;
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
 
-        // Check if player has authority to move this piece
-        const hasAuthority = await tokenService.hasAuthority(pieceId, socket.id);
+        // Check if player has authority to shuffle this deck
+        const hasAuthority = await tokenService.hasAuthority(deckId, playerId, currentGameId);
 
         if (!hasAuthority) {
-          socket.emit('error', 'No authority to move this piece');
+          socket.emit('error', 'No authority to shuffle this deck');
           return;
         }
 
-        // Update piece position
-        await gameService.updatePiece(pieceId, { x, y });
+        const result = await gameService.shuffleDeck(deckId, currentGameId);
 
-        // Broadcast move to all clients
-        io.emit('piece-moved', {
-          pieceId,
-          x,
-          y,
-          playerId: socket.id
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        // The new order stays on the server
+        io.to(currentGameId).emit('deck-shuffled', {
+          deckId,
+          playerId
         });
       } catch (err) {
-        console.error('Error moving piece:', err);
-        socket.emit('error', 'Failed to move piece');
+        console.error('Error shuffling deck:', err);
+        socket.emit('error', 'Failed to shuffle deck');
       }
     });
 
-    // Add piece to board
-    socket.on('add-piece', async (data) => {
+    // Draw the top card of a deck into the player's hand
+    socket.on('draw-card', async (deckId) => {
       try {
-        const { pieceId, assetUrl, x, y } = data;
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
 
-        // Create new piece
-        const piece = {
-          id: pieceId,
-          x,
-          y,
-          assetUrl,
-          owner: socket.id,
-          createdAt: new Date().toISOString()
-        };
+        // Check if player has authority to draw from this deck
+        const hasAuthority = await tokenService.hasAuthority(deckId, playerId, currentGameId);
+
+        if (!hasAuthority) {
+          socket.emit('error', 'No authority to draw from this deck');
+          return;
+        }
 
-        // Add to game state
-        await gameService.addPiece(piece);
+        const result = await gameService.drawCard(deckId, playerId, currentGameId);
 
-        // Automatically grant token to creator
-        await tokenService.grantToken(pieceId, socket.id);
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
 
-        // Broadcast new piece to all clients
-        io.emit('piece-added', {
-          pieceId,
-          x,
-          y,
-          assetUrl,
-          playerId: socket.id
+        // Nobody keeps a token taken while the card was still in the deck
+        await tokenService.clearTokens([result.card.id], currentGameId);
+
+        // Only the player's own tabs in this game see the face
+        await emitToPlayer(currentGameId, playerId, 'card-drawn', {
+          deckId,
+          card: result.card
+        });
+
+        const handCounts = await gameService.getHandCounts(currentGameId);
+
+        io.to(currentGameId).emit('deck-updated', {
+          deckId,
+          cardCount: result.deck.cards.length,
+          playerId
+        });
+        io.to(currentGameId).emit('hand-updated', {
+          playerId,
+          count: handCounts[playerId] || 0
         });
       } catch (err) {
-        console.error('Error adding piece:', err);
-        socket.emit('error', 'Failed to add piece');
+        console.error('Error drawing card:', err);
+        socket.emit('error', 'Failed to draw card');
+      }
+    });
+
+    // Play a card from the player's hand face up onto the board
+    socket.on('play-card', async (data) => {
+      try {
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { cardId, x, y, q, r } = data;
+
+        // A played card lands like a moved piece, so only on the player's turn
+        if (!await gameService.canTakeTokens(currentGameId, playerId)) {
+          socket.emit('error', 'It is not your turn');
+          return;
+        }
+
+        // Snap to the grid when the game has snapping on
+        const settings = await gameService.getSettings(currentGameId);
+        const position = gameService.snapPosition(settings, { x, y, q, r });
+
+        const result = await gameService.playCard(cardId, playerId, position, currentGameId);
+
+        if (!result.success) {
+          socket.emit('error', result.error);
+          return;
+        }
+
+        const handCounts = await gameService.getHandCounts(currentGameId);
+        const moved = [result.card, ...result.arranged];
+
+        await emitToViewers(currentGameId, result.arranged, canSee => ['card-played', {
+          card: result.card,
+          arranged: result.arranged.filter(canSee).map(toPosition),
+          playerId
+        }]);
+        await sendZoneCrossings(currentGameId, result.crossings, moved, playerId);
+        io.to(currentGameId).emit('hand-updated', {
+          playerId,
+          count: handCounts[playerId] || 0
+        });
+      } catch (err) {
+        console.error('Error playing card:', err);
+        socket.emit('error', 'Failed to play card');
       }
     });
 
-    // Remove piece from board
-    socket.on('remove-piece', async (pieceId) => {
+    // Remove piece from board (by ID, or {pieceId, cascade} to also remove
+    // the pieces attached to it instead of detaching them)
+    socket.on('remove-piece', async (data) => {
       try {
-        // Check if player has authority to remove this piece
-        const hasAuthority = await tokenService.hasAuthority(pieceId, socket.id);
+        const currentGameId = socket.data.gameId;
+        if (!currentGameId) {
+          socket.emit('error', 'Not in a game');
+          return;
+        }
+
+        const { pieceId, cascade } = data !== null && typeof data === 'object' ? data : { pieceId: data };
+
+        // Check if player has authority to remove this piece, and the pieces
+        // attached to it when they go too
+        const attachedIds = cascade === true ? await gameService.getDescendants([pieceId], currentGameId) : [];
+        const hasAuthority = await tokenService.hasAuthorityOverAll([pieceId, ...attachedIds], playerId, currentGameId);
 
         if (!hasAuthority) {
           socket.emit('error', 'No authority to remove this piece');
           return;
         }
 
-        // Remove piece from game state
-        await gameService.removePiece(pieceId);
+        // Remove piece from game state (a deck takes the cards still in it along)
+        const piece = await gameService.getPiece(pieceId, currentGameId);
 
-        // Release token
-        await tokenService.releaseToken(pieceId, socket.id);
+        // Keep the pieces to tell who may hear about them once they are gone
+        const childIds = cascade === true ? attachedIds : await gameService.getDescendants([pieceId], currentGameId);
+        const affected = (await Promise.all(childIds.map(id => gameService.getPiece(id, currentGameId))))
+          .concat(piece)
+          .filter(Boolean);
+        let removed = [pieceId];
+        let detached = [];
 
-        // Broadcast removal to all clients
-        io.emit('piece-removed', {
-          pieceId,
-          playerId: socket.id
+        if (piece && piece.type === 'deck') {
+          if (!await gameService.removeDeck(pieceId, currentGameId)) {
+            socket.emit('error', 'Failed to remove deck');
+            return;
+          }
+        } else {
+          const result = await gameService.removePieceWithChildren(pieceId, { cascade: cascade === true }, currentGameId);
+
+          if (!result.success) {
+            socket.emit('error', result.error);
+            return;
+          }
+
+          ({ removed, detached } = result);
+        }
+
+        // Drop the tokens and anyone waiting for them
+        await tokenService.clearTokens(removed, currentGameId);
+
+        // Broadcast removal to everyone in the game who could see the pieces
+        await emitToViewers(currentGameId, affected, (canSee) => {
+          const hidden = new Set(affected.filter(p => !canSee(p)).map(p => p.id));
+          const seen = id => !hidden.has(id);
+          const seenRemoved = removed.filter(seen);
+          const seenDetached = detached.filter(seen);
+
+          return seenRemoved.length > 0 || seenDetached.length > 0
+            ? ['piece-removed', {
+              pieceId: seen(pieceId) ? pieceId : null,
+              removed: seenRemoved,
+              detached: seenDetached,
+              playerId
+            }]
+            : null;
         });
       } catch (err) {
         console.error('Error removing piece:', err);
@@ -180,25 +1824,13 @@ const setupSocketHandlers = (io) => {
     socket.on('disconnect', async () => {
       console.log('Client disconnected:', socket.id);
 
-      try {
-        // Get game state to find pieces owned by this player
-        const gameState = await gameService.getGameState();
-
-        // Look for pieces with tokens held by this player
-        for (const piece of gameState.pieces) {
-          if (await tokenService.hasAuthority(piece.id, socket.id)) {
-            await tokenService.releaseToken(piece.id, socket.id);
-
-            io.emit('piece-unlocked', {
-              pieceId: piece.id
-            });
-          }
-        }
+      const currentGameId = socket.data.gameId;
+      if (!currentGameId) {
+        return;
+      }
 
-        // Notify other players
-        socket.broadcast.emit('player-left', {
-          playerId: socket.id
-        });
+      try {
+        await leaveGame(socket, currentGameId);
       } catch (err) {
         console.error('Error handling disconnection:', err);
       }
@@ -206,4 +1838,4 @@ const setupSocketHandlers = (io) => {
   });
 };
 
-module.exports = setupSocketHandlers;
\ No newline at end of file
+module.exports = setupSocketHandlers;
@@ -0,0 +1,181 @@
+/**
+ * Dice notation parser and roller
+ * 
+ * Supports sums of dice and constants such as `d20`, `2d6+3`, `1d8+1d6-1`
+ * and `d%`, with keep/drop modifiers on dice terms: `kh`/`k` (keep highest),
+ * `kl` (keep lowest), `dl`/`d` (drop lowest) and `dh` (drop highest), e.g.
+ * `4d6kh3` or `4d6dl1`. Randomness comes from crypto.randomInt.
+ */
+const crypto = require('crypto');
+
+// Limits that keep a single roll cheap to compute and broadcast
+const MAX_NOTATION_LENGTH = 100;
+const MAX_TERMS = 20;
+const MAX_DICE = 100; // Across all terms
+const MAX_SIDES = 1000;
+const MAX_CONSTANT = 1000000;
+
+// One signed term: dice with an optional modifier, or a constant
+const TERM_PATTERN = /^([+-])?(?:(\d*)d(\d+|%)(?:(kh|kl|dh|dl|k|d)(\d+))?|(\d+))/;
+
+/**
+ * Parse dice notation
+ * @param {string} notation - Dice notation, e.g. "4d6kh3"
+ * @returns {Object} {terms, notation} with the normalized notation, or {error}
+ */
+const parseDice = (notation) => {
+    if (typeof notation !== 'string') {
+        return { error: 'Dice notation is required' };
+    }
+
+    // Spaces are allowed around + and - only
+    let rest = notation.trim().toLowerCase().replace(/\s*([+-])\s*/g, '$1');
+
+    if (!rest) {
+        return { error: 'Dice notation is required' };
+    }
+
+    if (rest.length > MAX_NOTATION_LENGTH) {
+        return { error: `Dice notation is longer than ${MAX_NOTATION_LENGTH} characters` };
+    }
+
+    const terms = [];
+    let diceCount = 0;
+
+    while (rest) {
+        const match = rest.match(TERM_PATTERN);
+
+        // Every term after the first needs an explicit sign
+        if (!match || (terms.length > 0 && !match[1])) {
+            return { error: `Invalid dice notation near "${rest}"` };
+        }
+
+        const [text, sign, count, sides, modifier, modifierCount, constant] = match;
+        const term = { sign: sign === '-' ? -1 : 1 };
+
+        if (constant !== undefined) {
+            term.type = 'constant';
+            term.value = parseInt(constant);
+
+            if (term.value > MAX_CONSTANT) {
+                return { error: `Constants are limited to ${MAX_CONSTANT}` };
+            }
+        } else {
+            term.type = 'dice';
+            term.count = count ? parseInt(count) : 1;
+            term.sides = sides === '%' ? 100 : parseInt(sides);
+            term.keep = null;
+
+            if (term.count < 1) {
+                return { error: 'Dice terms need at least one die' };
+            }
+
+            if (term.sides < 2 || term.sides > MAX_SIDES) {
+                return { error: `Dice need at least 2 and at most ${MAX_SIDES} sides` };
+            }
+
+            if (modifier) {
+                const n = parseInt(modifierCount);
+
+                if (n > term.count) {
+                    return { error: `Cannot keep or drop ${n} of ${term.count} dice` };
+                }
+
+                // Normalize drops to the equivalent keep
+                term.keep = {
+                    k: { highest: true, count: n },
+                    kh: { highest: true, count: n },
+                    kl: { highest: false, count: n },
+                    d: { highest: true, count: term.count - n },
+                    dl: { highest: true, count: term.count - n },
+                    dh: { highest: false, count: term.count - n }
+                }[modifier];
+            }
+
+            diceCount += term.count;
+
+            if (diceCount > MAX_DICE) {
+                return { error: `A roll is limited to ${MAX_DICE} dice` };
+            }
+        }
+
+        term.notation = text.replace(/^[+-]/, '');
+        terms.push(term);
+        rest = rest.slice(text.length);
+
+        if (terms.length > MAX_TERMS) {
+            return { error: `A roll is limited to ${MAX_TERMS} terms` };
+        }
+    }
+
+    return {
+        terms,
+        notation: terms
+            .map((term, index) => `${term.sign < 0 ? '-' : index > 0 ? '+' : ''}${term.notation}`)
+            .join('')
+    };
+};
+
+/**
+ * Roll parsed dice
+ * @param {Array} terms - Terms from parseDice
+ * @returns {Object} {terms, total} with every die's value and whether it was kept
+ */
+const rollTerms = (terms) => {
+    let total = 0;
+
+    const results = terms.map(term => {
+        if (term.type === 'constant') {
+            total += term.sign * term.value;
+            return { notation: term.notation, sign: term.sign, value: term.value };
+        }
+
+        const values = Array.from({ length: term.count }, () => crypto.randomInt(1, term.sides + 1));
+        let kept = values.map(() => true);
+
+        if (term.keep) {
+            // Indexes ordered by value, so ties keep the earlier die
+            const order = values
+                .map((value, index) => index)
+                .sort((a, b) => (term.keep.highest ? values[b] - values[a] : values[a] - values[b]) || a - b);
+            const keptIndexes = new Set(order.slice(0, term.keep.count));
+            kept = values.map((value, index) => keptIndexes.has(index));
+        }
+
+        const subtotal = values.reduce((sum, value, index) => sum + (kept[index] ? value : 0), 0);
+        total += term.sign * subtotal;
+
+        return {
+            notation: term.notation,
+            sign: term.sign,
+            sides: term.sides,
+            rolls: values.map((value, index) => ({ value, kept: kept[index] })),
+            value: subtotal
+        };
+    });
+
+    return { terms: results, total };
+};
+
+/**
+ * Parse and roll dice notation
+ * @param {string} notation - Dice notation, e.g. "2d6+3"
+ * @returns {Object} {notation, terms, total}, or {error} if the notation is invalid
+ */
+const rollDice = (notation) => {
+    const parsed = parseDice(notation);
+
+    if (parsed.error) {
+        return parsed;
+    }
+
+    return {
+        notation: parsed.notation,
+        ...rollTerms(parsed.terms)
+    };
+};
+
+module.exports = {
+    parseDice,
+    rollDice
+};
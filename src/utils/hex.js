@@ -0,0 +1,64 @@
+/**
+ * Hex grid geometry in axial coordinates
+ *
+ * Hexes are sized by the distance from their center to a corner, with hex
+ * (0, 0) centered on the origin. Pointy-top hexes line up in rows (r grows
+ * downwards), flat-top hexes in columns (q grows to the right).
+ */
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Round fractional axial coordinates to the hex containing them
+ * @param {number} q - Fractional q
+ * @param {number} r - Fractional r
+ * @returns {Object} {q, r} as integers
+ */
+const roundAxial = (q, r) => {
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+
+    // Recompute the coordinate that rounded furthest from the other two
+    if (dq > dr && dq > ds) {
+        rq = -rr - rs;
+    } else if (dr > ds) {
+        rr = -rq - rs;
+    }
+
+    // Avoid -0 in results
+    return { q: rq + 0, r: rr + 0 };
+};
+
+/**
+ * Get the center of a hex
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @param {number} size - Center-to-corner distance in px
+ * @param {string} orientation - 'pointy' or 'flat'
+ * @returns {Object} {x, y} in px
+ */
+const hexToPixel = (q, r, size, orientation) => (orientation === 'flat'
+    ? { x: size * 1.5 * q, y: size * SQRT3 * (r + q / 2) }
+    : { x: size * SQRT3 * (q + r / 2), y: size * 1.5 * r });
+
+/**
+ * Find the hex containing a point
+ * @param {number} x - X in px
+ * @param {number} y - Y in px
+ * @param {number} size - Center-to-corner distance in px
+ * @param {string} orientation - 'pointy' or 'flat'
+ * @returns {Object} {q, r}
+ */
+const pixelToHex = (x, y, size, orientation) => (orientation === 'flat'
+    ? roundAxial((2 / 3 * x) / size, (-x / 3 + SQRT3 / 3 * y) / size)
+    : roundAxial((SQRT3 / 3 * x - y / 3) / size, (2 / 3 * y) / size));
+
+module.exports = {
+    hexToPixel,
+    pixelToHex
+};
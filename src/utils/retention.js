@@ -0,0 +1,66 @@
+/**
+ * Snapshot retention
+ *
+ * Decides which saved states a retention policy (see `config.retention`)
+ * no longer needs. The compactor removes what is picked here.
+ */
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Pick the snapshots a retention policy no longer needs
+ * 
+ * Manual saves (when kept) and the current snapshot always survive. Of the
+ * automatic snapshots, the newest `keepLastAutosaves` are kept, then the
+ * newest one per hour inside the hourly window and the newest one per day
+ * inside the daily window.
+ * @param {Array<Object>} states - Parsed snapshots with `score`, newest first
+ * @param {Object} policy - Retention policy from config
+ * @param {string|null} currentStateId - ID of the current snapshot
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Array<Object>} Snapshots to remove
+ */
+const selectStatesToPrune = (states, policy, currentStateId, now) => {
+    const hourlySeen = new Set();
+    const dailySeen = new Set();
+    let autosavesKept = 0;
+
+    return states.filter(state => {
+        if (state.id === currentStateId) {
+            return false;
+        }
+
+        if (state.isManual) {
+            return !policy.keepManualSaves;
+        }
+
+        const age = now - state.score;
+        const hour = Math.floor(state.score / HOUR_MS);
+        const day = Math.floor(state.score / DAY_MS);
+        let keep = false;
+
+        if (autosavesKept < policy.keepLastAutosaves) {
+            keep = true;
+        }
+
+        if (age < policy.hourlyAutosavesForHours * HOUR_MS && !hourlySeen.has(hour)) {
+            keep = true;
+        }
+
+        if (age < policy.dailyAutosavesForDays * DAY_MS && !dailySeen.has(day)) {
+            keep = true;
+        }
+
+        if (keep) {
+            autosavesKept++;
+            hourlySeen.add(hour);
+            dailySeen.add(day);
+        }
+
+        return !keep;
+    });
+};
+
+module.exports = {
+    selectStatesToPrune
+};
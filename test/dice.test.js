@@ -0,0 +1,76 @@
+/**
+ * Tests for the dice notation parser and roller
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseDice, rollDice } = require('../src/utils/dice');
+
+// Rolls per randomized check, enough to hit every face of a small die
+const ROLLS = 200;
+
+describe('parseDice', () => {
+    it('parses dice, constants and signs', () => {
+        const { terms, notation } = parseDice('2d6 + 3 - d4');
+
+        assert.strictEqual(notation, '2d6+3-d4');
+        assert.deepStrictEqual(terms.map(term => [term.type, term.sign]), [['dice', 1], ['constant', 1], ['dice', -1]]);
+        assert.deepStrictEqual([terms[0].count, terms[0].sides], [2, 6]);
+        assert.strictEqual(terms[1].value, 3);
+        assert.deepStrictEqual([terms[2].count, terms[2].sides], [1, 4]);
+    });
+
+    it('reads d% as a hundred-sided die', () => {
+        assert.strictEqual(parseDice('d%').terms[0].sides, 100);
+    });
+
+    it('turns drops into the equivalent keeps', () => {
+        assert.deepStrictEqual(parseDice('4d6kh3').terms[0].keep, { highest: true, count: 3 });
+        assert.deepStrictEqual(parseDice('4d6k3').terms[0].keep, { highest: true, count: 3 });
+        assert.deepStrictEqual(parseDice('4d6kl1').terms[0].keep, { highest: false, count: 1 });
+        assert.deepStrictEqual(parseDice('4d6dl1').terms[0].keep, { highest: true, count: 3 });
+        assert.deepStrictEqual(parseDice('4d6d1').terms[0].keep, { highest: true, count: 3 });
+        assert.deepStrictEqual(parseDice('4d6dh1').terms[0].keep, { highest: false, count: 3 });
+    });
+
+    it('refuses malformed notation', () => {
+        for (const notation of [undefined, '', '   ', 'abc', '2d6 3', '2d', 'd6+', '2d6kh']) {
+            assert.ok(parseDice(notation).error, `"${notation}" should be refused`);
+        }
+    });
+
+    it('enforces its limits', () => {
+        assert.match(parseDice('d6+'.repeat(40) + '1').error, /longer than 100 characters/);
+        assert.match(parseDice(Array(21).fill('1').join('+')).error, /limited to 20 terms/);
+        assert.match(parseDice('60d6+41d6').error, /limited to 100 dice/);
+        assert.ok(parseDice('100d6').terms);
+        assert.match(parseDice('d1').error, /at least 2 and at most 1000 sides/);
+        assert.match(parseDice('d1001').error, /at least 2 and at most 1000 sides/);
+        assert.match(parseDice('0d6').error, /at least one die/);
+        assert.match(parseDice('1000001').error, /limited to 1000000/);
+        assert.match(parseDice('2d6kh3').error, /Cannot keep or drop 3 of 2 dice/);
+    });
+});
+
+describe('rollDice', () => {
+    it('adds up the kept dice and the constants', () => {
+        for (let i = 0; i < ROLLS; i++) {
+            const roll = rollDice('4d6kh3-2');
+            const [dice, constant] = roll.terms;
+            const values = dice.rolls.map(die => die.value);
+
+            assert.ok(values.every(value => value >= 1 && value <= 6));
+            assert.strictEqual(dice.rolls.filter(die => die.kept).length, 3);
+
+            // The dropped die is a lowest one
+            const dropped = dice.rolls.find(die => !die.kept).value;
+            assert.strictEqual(dropped, Math.min(...values));
+
+            assert.strictEqual(constant.value, 2);
+            assert.strictEqual(roll.total, dice.value - 2);
+        }
+    });
+
+    it('passes parse errors on', () => {
+        assert.deepStrictEqual(Object.keys(rollDice('d0')), ['error']);
+    });
+});
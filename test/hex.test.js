@@ -0,0 +1,69 @@
+/**
+ * Tests for the hex grid geometry behind locateHex and hex snapping
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { hexToPixel, pixelToHex } = require('../src/utils/hex');
+
+const SIZE = 40;
+const ORIENTATIONS = ['pointy', 'flat'];
+
+/**
+ * Get a point part of the way from a hex center towards one of its corners
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @param {string} orientation - 'pointy' or 'flat'
+ * @param {number} corner - Corner index, 0 to 5
+ * @param {number} fraction - How far towards the corner, 0 to 1
+ * @returns {Object} {x, y}
+ */
+const towardsCorner = (q, r, orientation, corner, fraction) => {
+    const center = hexToPixel(q, r, SIZE, orientation);
+    const angle = Math.PI / 180 * (60 * corner + (orientation === 'pointy' ? 30 : 0));
+
+    return {
+        x: center.x + Math.cos(angle) * SIZE * fraction,
+        y: center.y + Math.sin(angle) * SIZE * fraction
+    };
+};
+
+describe('pixelToHex', () => {
+    for (const orientation of ORIENTATIONS) {
+        it(`finds the hex of each ${orientation} hex center`, () => {
+            for (let q = -3; q <= 3; q++) {
+                for (let r = -3; r <= 3; r++) {
+                    const { x, y } = hexToPixel(q, r, SIZE, orientation);
+                    assert.deepStrictEqual(pixelToHex(x, y, SIZE, orientation), { q, r });
+                }
+            }
+        });
+
+        it(`keeps points near the corners of a ${orientation} hex in that hex`, () => {
+            // Rounding q and r on their own puts some of these in a neighbour
+            for (const [q, r] of [[0, 0], [2, -1], [-3, 2]]) {
+                for (let corner = 0; corner < 6; corner++) {
+                    const { x, y } = towardsCorner(q, r, orientation, corner, 0.95);
+                    assert.deepStrictEqual(pixelToHex(x, y, SIZE, orientation), { q, r },
+                        `corner ${corner} of hex (${q}, ${r})`);
+                }
+            }
+        });
+    }
+
+    it('moves to the neighbour just past an edge', () => {
+        // Pointy hexes have a vertical edge at half their width to the right
+        const half = SIZE * Math.sqrt(3) / 2;
+
+        assert.deepStrictEqual(pixelToHex(half - 1, 0, SIZE, 'pointy'), { q: 0, r: 0 });
+        assert.deepStrictEqual(pixelToHex(half + 1, 0, SIZE, 'pointy'), { q: 1, r: 0 });
+        assert.deepStrictEqual(pixelToHex(0, half - 1, SIZE, 'flat'), { q: 0, r: 0 });
+        assert.deepStrictEqual(pixelToHex(0, half + 1, SIZE, 'flat'), { q: 0, r: 1 });
+    });
+
+    it('never returns negative zero', () => {
+        const hex = pixelToHex(-1, -1, SIZE, 'pointy');
+
+        assert.ok(Object.is(hex.q, 0));
+        assert.ok(Object.is(hex.r, 0));
+    });
+});
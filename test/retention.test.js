@@ -0,0 +1,96 @@
+/**
+ * Tests for picking the snapshots a retention policy prunes
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { selectStatesToPrune } = require('../src/utils/retention');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Half past noon, so minutes either side stay in the same hour
+const NOW = Date.UTC(2026, 0, 10, 12, 30);
+
+const NOTHING_KEPT = {
+    keepManualSaves: true,
+    keepLastAutosaves: 0,
+    hourlyAutosavesForHours: 0,
+    dailyAutosavesForDays: 0
+};
+
+/**
+ * Build an autosave snapshot
+ * @param {string} id - Snapshot ID
+ * @param {number} age - Age in milliseconds
+ * @returns {Object} Snapshot as the compactor passes it in
+ */
+const autosave = (id, age) => ({ id, isManual: false, score: NOW - age });
+
+/**
+ * Get the IDs of the snapshots a policy prunes
+ * @param {Array<Object>} states - Snapshots, newest first
+ * @param {Object} policy - Overrides of NOTHING_KEPT
+ * @param {string|null} [currentStateId] - ID of the current snapshot
+ * @returns {Array<string>} Pruned IDs
+ */
+const pruned = (states, policy, currentStateId = null) =>
+    selectStatesToPrune(states, { ...NOTHING_KEPT, ...policy }, currentStateId, NOW).map(state => state.id);
+
+describe('selectStatesToPrune', () => {
+    it('keeps the current snapshot and, when asked, manual saves', () => {
+        const states = [
+            autosave('current', MINUTE_MS),
+            { id: 'manual', isManual: true, score: NOW - 2 * MINUTE_MS },
+            autosave('old', 3 * MINUTE_MS)
+        ];
+
+        assert.deepStrictEqual(pruned(states, {}, 'current'), ['old']);
+        assert.deepStrictEqual(pruned(states, { keepManualSaves: false }, 'current'), ['manual', 'old']);
+        assert.deepStrictEqual(pruned(states, { keepManualSaves: false }, 'manual'), ['current', 'old']);
+    });
+
+    it('keeps the newest autosaves', () => {
+        const states = [1, 2, 3, 4, 5].map(n => autosave(`a${n}`, n * DAY_MS * 10));
+
+        assert.deepStrictEqual(pruned(states, { keepLastAutosaves: 2 }), ['a3', 'a4', 'a5']);
+    });
+
+    it('keeps the newest autosave of each hour inside the hourly window', () => {
+        const states = [
+            autosave('noon-late', 10 * MINUTE_MS),
+            autosave('noon-early', 20 * MINUTE_MS),
+            autosave('eleven', HOUR_MS),
+            autosave('ten', 2 * HOUR_MS),
+            autosave('too-old', 5 * HOUR_MS)
+        ];
+
+        assert.deepStrictEqual(pruned(states, { hourlyAutosavesForHours: 3 }), ['noon-early', 'too-old']);
+    });
+
+    it('keeps the newest autosave of each day inside the daily window', () => {
+        const states = [
+            autosave('today', HOUR_MS),
+            autosave('today-earlier', 2 * HOUR_MS),
+            autosave('yesterday', DAY_MS),
+            autosave('last-week', 7 * DAY_MS)
+        ];
+
+        assert.deepStrictEqual(pruned(states, { dailyAutosavesForDays: 3 }), ['today-earlier', 'last-week']);
+    });
+
+    it('counts the newest autosaves towards their hour and day', () => {
+        const states = [
+            autosave('newest', 5 * MINUTE_MS),
+            autosave('same-hour', 10 * MINUTE_MS),
+            autosave('next-hour', HOUR_MS)
+        ];
+
+        assert.deepStrictEqual(pruned(states, { keepLastAutosaves: 1, hourlyAutosavesForHours: 24 }), ['same-hour']);
+    });
+
+    it('prunes every autosave when the policy keeps none', () => {
+        assert.deepStrictEqual(pruned([], {}), []);
+        assert.deepStrictEqual(pruned([autosave('a', MINUTE_MS)], {}), ['a']);
+    });
+});
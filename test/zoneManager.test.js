@@ -0,0 +1,106 @@
+/**
+ * Tests for zone geometry: finding the zone of a position and laying out
+ * auto-arranged pieces
+ *
+ * These need no Redis; the client the zone manager loads is disconnected
+ * once they finish.
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const redis = require('../src/utils/redisClient');
+const zoneManager = require('../src/services/game/managers/zoneManager');
+
+const rect = (x, y, width, height) => ({ shape: 'rect', x, y, width, height });
+const polygon = (...points) => ({ shape: 'polygon', points: points.map(([x, y]) => ({ x, y })) });
+
+after(() => {
+    redis.disconnect();
+});
+
+describe('zoneAt', () => {
+    it('includes the top and left edges of a rect but not the bottom and right', () => {
+        const zone = rect(0, 0, 100, 50);
+
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 0, y: 0 }), zone);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 99.9, y: 49.9 }), zone);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 100, y: 10 }), null);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 10, y: 50 }), null);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: -1, y: 10 }), null);
+    });
+
+    it('follows the even-odd rule for polygons', () => {
+        // A U shape: the notch between its arms is outside
+        const zone = polygon([0, 0], [30, 0], [30, 60], [70, 60], [70, 0], [100, 0], [100, 100], [0, 100]);
+
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 15, y: 30 }), zone);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 50, y: 80 }), zone);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 50, y: 30 }), null);
+        assert.strictEqual(zoneManager.zoneAt([zone], { x: 150, y: 30 }), null);
+    });
+
+    it('picks the zone created last where zones overlap', () => {
+        const below = rect(0, 0, 100, 100);
+        const above = rect(50, 50, 100, 100);
+
+        assert.strictEqual(zoneManager.zoneAt([below, above], { x: 75, y: 75 }), above);
+        assert.strictEqual(zoneManager.zoneAt([above, below], { x: 75, y: 75 }), below);
+        assert.strictEqual(zoneManager.zoneAt([below, above], { x: 25, y: 25 }), below);
+    });
+
+    it('finds no zone for positions that are not numbers', () => {
+        const zone = rect(0, 0, 100, 100);
+
+        for (const position of [{}, { x: 10 }, { x: '10', y: '10' }, { x: NaN, y: 10 }, { x: 10, y: Infinity }]) {
+            assert.strictEqual(zoneManager.zoneAt([zone], position), null);
+        }
+    });
+});
+
+describe('arrangePositions', () => {
+    it('fills a rect in rows of cell centers', () => {
+        const zone = rect(0, 0, 100, 60);
+
+        assert.deepStrictEqual(zoneManager.arrangePositions(zone, 4, 20), [
+            { x: 10, y: 10 }, { x: 30, y: 10 }, { x: 50, y: 10 }, { x: 70, y: 10 }
+        ]);
+        assert.deepStrictEqual(zoneManager.arrangePositions(zone, 7, 20).slice(5), [
+            { x: 10, y: 30 }, { x: 30, y: 30 }
+        ]);
+    });
+
+    it('stays within the rows that fit and stacks the rest in the last cell', () => {
+        const zone = rect(0, 0, 40, 40);
+        const positions = zoneManager.arrangePositions(zone, 6, 20);
+
+        assert.strictEqual(positions.length, 6);
+        assert.ok(positions.every(position => position.y < 40));
+        assert.deepStrictEqual(positions.slice(3), [{ x: 30, y: 30 }, { x: 30, y: 30 }, { x: 30, y: 30 }]);
+    });
+
+    it('only uses cells inside a polygon', () => {
+        const zone = polygon([0, 0], [200, 0], [0, 200]);
+        const positions = zoneManager.arrangePositions(zone, 50, 20);
+
+        assert.ok(positions.every(position => zoneManager.zoneAt([zone], position) === zone));
+        assert.ok(positions.some(position => position.y > 100));
+    });
+
+    it('skips cells covered by a zone created later', () => {
+        const zone = rect(0, 0, 100, 20);
+        const cover = rect(0, 0, 50, 20);
+        const positions = zoneManager.arrangePositions(zone, 3, 20, [zone, cover]);
+
+        assert.deepStrictEqual(positions, [{ x: 50, y: 10 }, { x: 70, y: 10 }, { x: 90, y: 10 }]);
+
+        // A zone created earlier is underneath and takes no cells away
+        assert.deepStrictEqual(zoneManager.arrangePositions(zone, 1, 20, [cover, zone]), [{ x: 10, y: 10 }]);
+    });
+
+    it('gives up when no cell fits in the zone', () => {
+        // The only cell center of this sliver lies outside it
+        const zone = polygon([0, 0], [40, 0], [0, 5]);
+
+        assert.strictEqual(zoneManager.arrangePositions(zone, 1, 40), null);
+        assert.deepStrictEqual(zoneManager.arrangePositions(zone, 0, 40), []);
+    });
+});